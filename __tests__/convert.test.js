@@ -91,3 +91,25 @@ test(
     expect(Convert.base64ToArrayBuffer(b64)).toEqual(array.buffer)
   }
 )
+
+test(
+  'urlBase64 string has no padding',
+  () => {
+    const ub64 = Convert.arrayBufferToUrlBase64(new Uint8Array(64).buffer)
+    expect(ub64).toMatch(/^[A-Za-z0-9_-]{86}$/)
+    expect(new Uint8Array(Convert.urlBase64ToArrayBuffer(ub64)))
+      .toEqual(new Uint8Array(64))
+  }
+)
+
+test(
+  'ArrayBuffers and views can be concatenated',
+  () => {
+    const joined = Convert.concat(
+      new Uint8Array([1, 2]).buffer,
+      new Uint8Array([0, 3, 4, 0]).subarray(1, 3),
+      new ArrayBuffer(0)
+    )
+    expect(new Uint8Array(joined)).toEqual(new Uint8Array([1, 2, 3, 4]))
+  }
+)
@@ -74,3 +74,815 @@ test(
     expect(decryptedData).toEqual(data)
   }
 )
+
+test(
+  'Crypto can sign and verify DER and JOSE signatures',
+  async () => {
+    for (const encoding of ['raw', 'der', 'jose']) {
+      const signature = await Crypto.sign(aliceKp, data, { encoding })
+      expect(await Crypto.verify(aliceKp, data, signature, { encoding }))
+        .toBe(true)
+      expect(await Crypto.verify(bobKp, data, signature, { encoding }))
+        .toBe(false)
+    }
+    const der = await Crypto.sign(aliceKp, data, { encoding: 'der' })
+    const raw = crypto.Signature.derToRaw(der)
+    expect(await Crypto.verify(aliceKp, data, raw)).toBe(true)
+    expect(await Crypto.verify(aliceKp, data, raw, { encoding: 'der' }))
+      .toBe(false)
+    await expect(Crypto.sign(aliceKp, data, { encoding: 'pem' })).rejects
+      .toThrow()
+  }
+)
+
+test(
+  'Crypto can produce low-S signatures and reject high-S ones',
+  async () => {
+    for (let i = 0; i < 8; i++) {
+      const signature = await Crypto.sign(aliceKp, data, { lowS: true })
+      expect(crypto.Signature.isLowS(signature)).toBe(true)
+      expect(await Crypto.verify(aliceKp, data, signature, { strict: true }))
+        .toBe(true)
+      // (r, n - s) is the malleated twin of a low-S signature.
+      const bytes = new Uint8Array(signature.slice(0))
+      const n = crypto.PrivKey.N
+      const s = new (n.constructor)(
+        crypto.Convert.arrayBufferToHexString(bytes.subarray(32)),
+        16
+      )
+      bytes.set(
+        new Uint8Array(crypto.Convert.hexStringToArrayBuffer(
+          n.subtract(s).toString(16).padStart(64, '0')
+        )),
+        32
+      )
+      expect(await Crypto.verify(aliceKp, data, bytes.buffer)).toBe(true)
+      expect(await Crypto.verify(aliceKp, data, bytes.buffer, { strict: true }))
+        .toBe(false)
+      expect(new Uint8Array(crypto.Signature.normalizeS(bytes.buffer)))
+        .toEqual(new Uint8Array(signature))
+    }
+    const der = await Crypto.sign(aliceKp, data, { lowS: true, encoding: 'der' })
+    expect(await Crypto.verify(
+      aliceKp, data, der, { strict: true, encoding: 'der' }
+    )).toBe(true)
+  }
+)
+
+test(
+  'Crypto can sign deterministically (RFC 6979)',
+  async () => {
+    // RFC 6979, A.2.5, P-256 with SHA-256.
+    const priv = await crypto.PrivKey.fromD(crypto.Convert.hexStringToArrayBuffer(
+      'c9afa9d845ba75166b5c215767b1d6934e50c3db36e89b127b8a622b120f6721'
+    ))
+    const sample = (new TextEncoder()).encode('sample').buffer
+    const signature = await Crypto.sign(priv, sample, { deterministic: true })
+    expect(crypto.Convert.arrayBufferToHexString(signature)).toBe(
+      'efd48b2aacb6a8fd1140dd9cd45e81d69d2c877b56aaf991c34d0ea84eaf3716' +
+      'f7cb1c942d657c41d436c7a1b6e29f65f3e900dbb9aff4064dc4ab2f843acda8'
+    )
+    const test = (new TextEncoder()).encode('test').buffer
+    expect(crypto.Convert.arrayBufferToHexString(
+      await Crypto.sign(priv, test, { deterministic: true })
+    )).toBe(
+      'f1abb023518351cd71d881567b1ea663ed3efcf6c5132b354f28d3b0b7d38367' +
+      '019f4113742a2b14bd25926b49c649155f267e60d3814b4c0cc84250e46f0083'
+    )
+    const pub = await crypto.PubKey.fromPrivKey(priv)
+    expect(await Crypto.verify(pub, sample, signature)).toBe(true)
+  }
+)
+
+test(
+  'Crypto deterministic signatures are reproducible and verifiable',
+  async () => {
+    const options = { deterministic: true, lowS: true, encoding: 'der' }
+    const signature1 = await Crypto.sign(aliceKp, data, options)
+    const signature2 = await Crypto.sign(aliceKp.priv(), data, options)
+    expect(new Uint8Array(signature1)).toEqual(new Uint8Array(signature2))
+    expect(await Crypto.verify(aliceKp, data, signature1, {
+      encoding: 'der',
+      strict: true
+    })).toBe(true)
+  }
+)
+
+test(
+  'Crypto can recover public key from signature',
+  async () => {
+    const signature = await Crypto.sign(aliceKp, data, { encoding: 'der' })
+    const candidates = await Crypto.recoverPublicKeys(data, signature, {
+      encoding: 'der'
+    })
+    expect(candidates.length).toBeGreaterThanOrEqual(1)
+    const matches = await Promise.all(candidates.map(c => c.equals(aliceKp)))
+    expect(matches.filter(m => m).length).toBe(1)
+    for (const candidate of candidates) {
+      expect(await Crypto.verify(candidate, data, signature, {
+        encoding: 'der'
+      })).toBe(true)
+    }
+  }
+)
+
+test(
+  'Crypto can recover single public key with recovery id',
+  async () => {
+    for (const lowS of [false, true]) {
+      for (let i = 0; i < 4; i++) {
+        const message = (new TextEncoder()).encode(`message ${i}`).buffer
+        const { signature, recoveryId } = await Crypto.sign(aliceKp, message, {
+          deterministic: true,
+          recoverable: true,
+          lowS
+        })
+        expect([0, 1, 2, 3]).toContain(recoveryId)
+        const keys = await Crypto.recoverPublicKeys(message, signature, {
+          recoveryId
+        })
+        expect(keys.length).toBe(1)
+        expect(await keys[0].equals(aliceKp)).toBe(true)
+      }
+    }
+    await expect(Crypto.sign(aliceKp, data, { recoverable: true })).rejects
+      .toThrow()
+    const signature = await Crypto.sign(aliceKp, data)
+    await expect(Crypto.recoverPublicKeys(data, signature, { recoveryId: 4 }))
+      .rejects.toThrow()
+  }
+)
+
+test(
+  'Crypto can sign and verify with SHA-384 and SHA-512',
+  async () => {
+    for (const hash of ['SHA-384', 'SHA-512']) {
+      const signature = await Crypto.sign(aliceKp, data, { hash })
+      expect(await Crypto.verify(aliceKp, data, signature, { hash })).toBe(true)
+      expect(await Crypto.verify(aliceKp, data, signature)).toBe(false)
+      const detSignature = await Crypto.sign(aliceKp, data, {
+        hash,
+        deterministic: true
+      })
+      expect(await Crypto.verify(aliceKp, data, detSignature, { hash }))
+        .toBe(true)
+    }
+    await expect(Crypto.sign(aliceKp, data, { hash: 'SHA-1' })).rejects
+      .toThrow()
+    await expect(Crypto.verify(aliceKp, data, new ArrayBuffer(64), {
+      hash: 'MD5'
+    })).rejects.toThrow()
+  }
+)
+
+test(
+  'Crypto deterministic SHA-384 signature matches RFC 6979',
+  async () => {
+    // RFC 6979, A.2.5, P-256 with SHA-384.
+    const priv = await crypto.PrivKey.fromD(crypto.Convert.hexStringToArrayBuffer(
+      'c9afa9d845ba75166b5c215767b1d6934e50c3db36e89b127b8a622b120f6721'
+    ))
+    const sample = (new TextEncoder()).encode('sample').buffer
+    const signature = await Crypto.sign(priv, sample, {
+      hash: 'SHA-384',
+      deterministic: true
+    })
+    expect(crypto.Convert.arrayBufferToHexString(signature)).toBe(
+      '0eafea039b20e9b42309fb1d89e213057cbf973dc0cfc8f129edddc800ef7719' +
+      '4861f0491e6998b9455193e34e7b0d284ddd7149a74b95b9261f13abde940954'
+    )
+  }
+)
+
+test(
+  'Crypto can sign and verify precomputed digests',
+  async () => {
+    for (const hash of ['SHA-256', 'SHA-384', 'SHA-512']) {
+      const digest = await globalThis.crypto.subtle.digest(hash, data)
+      const signature = await Crypto.signDigest(aliceKp, digest)
+      expect(await Crypto.verifyDigest(aliceKp, digest, signature)).toBe(true)
+      expect(await Crypto.verify(aliceKp, data, signature, { hash })).toBe(true)
+      expect(await Crypto.verifyDigest(bobKp, digest, signature)).toBe(false)
+      const subtleSignature = await Crypto.sign(aliceKp.priv(), data, { hash })
+      expect(await Crypto.verifyDigest(aliceKp.pub(), digest, subtleSignature))
+        .toBe(true)
+      expect(new Uint8Array(
+        await Crypto.sign(aliceKp, data, { hash, deterministic: true })
+      )).toEqual(new Uint8Array(signature))
+    }
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', data)
+    const der = await Crypto.signDigest(aliceKp, digest, {
+      encoding: 'der',
+      lowS: true
+    })
+    expect(await Crypto.verifyDigest(aliceKp, digest, der, {
+      encoding: 'der',
+      strict: true
+    })).toBe(true)
+    expect(await Crypto.verifyDigest(aliceKp, digest, new ArrayBuffer(64)))
+      .toBe(false)
+    await expect(Crypto.signDigest(aliceKp, new ArrayBuffer(20))).rejects
+      .toThrow()
+    await expect(Crypto.verifyDigest(aliceKp, new ArrayBuffer(20), der)).rejects
+      .toThrow()
+  }
+)
+
+test(
+  'Crypto stream signatures match signatures of whole data',
+  async () => {
+    for (const hash of ['SHA-256', 'SHA-384', 'SHA-512']) {
+      for (const length of [0, 55, 56, 111, 112, 128, 1000]) {
+        const payload = new Uint8Array(length)
+        globalThis.crypto.getRandomValues(payload)
+        async function * chunks () {
+          for (let i = 0; i < length; i += 37) {
+            yield payload.subarray(i, i + 37)
+          }
+        }
+        const signature = await Crypto.signStream(aliceKp, chunks(), { hash })
+        expect(new Uint8Array(signature)).toEqual(new Uint8Array(
+          await Crypto.sign(aliceKp, payload.buffer, {
+            hash,
+            deterministic: true
+          })
+        ))
+        expect(await Crypto.verifyStream(aliceKp, chunks(), signature, { hash }))
+          .toBe(true)
+      }
+    }
+  }
+)
+
+test(
+  'Crypto can sign ReadableStream and Node streams',
+  async () => {
+    const { Readable } = await import('node:stream')
+    const parts = ['test', '_', 'data']
+    const readable = () => new ReadableStream({
+      start (controller) {
+        parts.forEach(part => controller.enqueue((new TextEncoder()).encode(part)))
+        controller.close()
+      }
+    })
+    const signature = await Crypto.signStream(aliceKp, readable(), {
+      encoding: 'der'
+    })
+    expect(await Crypto.verify(aliceKp, data, signature, { encoding: 'der' }))
+      .toBe(true)
+    expect(await Crypto.verifyStream(
+      aliceKp.pub(),
+      Readable.from(parts.map(part => Buffer.from(part))),
+      signature,
+      { encoding: 'der' }
+    )).toBe(true)
+    expect(await Crypto.verifyStream(bobKp, parts, signature, {
+      encoding: 'der'
+    })).toBe(false)
+    await expect(Crypto.signStream(aliceKp, 42)).rejects.toThrow()
+  }
+)
+
+test(
+  'Crypto can verify signatures in batch',
+  async () => {
+    const message = i => (new TextEncoder()).encode(`message ${i}`).buffer
+    const items = []
+    for (let i = 0; i < 20; i++) {
+      const kp = i % 2 ? aliceKp : bobKp
+      items.push([kp.pub(), message(i), await Crypto.sign(kp, message(i))])
+    }
+    // Wrong key, wrong data, malformed signature, malformed key.
+    items.push([aliceKp, message(0), items[0][2]])
+    items.push({ pub: bobKp, data: message(1), signature: items[0][2] })
+    items.push([aliceKp, message(1), new ArrayBuffer(3)])
+    items.push([new ArrayBuffer(3), message(1), items[1][2]])
+    const expected = [...Array(20).fill(true), false, false, false, false]
+    expect(await Crypto.verifyBatch(items)).toEqual(expected)
+    expect(await Crypto.verifyBatch(items, { concurrency: 1 })).toEqual(expected)
+    async function * generate () {
+      for (const item of items) { yield item }
+    }
+    expect(await Crypto.verifyBatch(generate(), { concurrency: 3 }))
+      .toEqual(expected)
+    expect(await Crypto.verifyBatch([])).toEqual([])
+    await expect(Crypto.verifyBatch(items, { concurrency: 0 })).rejects.toThrow()
+  }
+)
+
+test(
+  'Crypto batch verification imports repeating serialized keys once',
+  async () => {
+    const raw = await aliceKp.pub().toRaw()
+    const spki = await aliceKp.pub().toSpki()
+    const jwk = await aliceKp.pub().toJwk()
+    const signature = await Crypto.sign(aliceKp, data, { encoding: 'der' })
+    const items = [raw, spki, jwk, raw, spki, jwk]
+      .map(pub => ({ pub, data, signature }))
+    const PubKey = crypto.PubKey
+    const { fromRaw, fromJwk } = PubKey
+    const calls = { fromRaw: 0, fromJwk: 0 }
+    PubKey.fromRaw = function (...args) {
+      calls.fromRaw++
+      return fromRaw.apply(this, args)
+    }
+    PubKey.fromJwk = function (...args) {
+      calls.fromJwk++
+      return fromJwk.apply(this, args)
+    }
+    try {
+      expect(await Crypto.verifyBatch(items, { encoding: 'der' }))
+        .toEqual(Array(6).fill(true))
+      // Raw bytes and SPKI (through fromSpki) are imported once each.
+      expect(calls).toEqual({ fromRaw: 2, fromJwk: 1 })
+    } finally {
+      PubKey.fromRaw = fromRaw
+      PubKey.fromJwk = fromJwk
+    }
+  }
+)
+
+test(
+  'Crypto can bind ciphertext to additional data',
+  async () => {
+    const header = (new TextEncoder()).encode('message-id: 1').buffer
+    const other = (new TextEncoder()).encode('message-id: 2').buffer
+    const { iv, encryptedData } = await Crypto.encrypt(
+      aliceKp, bobKp, data, null, header
+    )
+    expect(new Uint8Array(
+      await Crypto.decrypt(aliceKp, bobKp, encryptedData, iv, header)
+    )).toEqual(new Uint8Array(data))
+    await expect(Crypto.decrypt(aliceKp, bobKp, encryptedData, iv, other))
+      .rejects.toThrow()
+    await expect(Crypto.decrypt(aliceKp, bobKp, encryptedData, iv))
+      .rejects.toThrow()
+  }
+)
+
+test(
+  'Crypto encryption without additional data is unchanged',
+  async () => {
+    const iv = new Uint8Array(16)
+    const withoutAad = await Crypto.encrypt(aliceKp, bobKp, data, iv)
+    const withNull = await Crypto.encrypt(aliceKp, bobKp, data, iv, null)
+    expect(new Uint8Array(withNull.encryptedData))
+      .toEqual(new Uint8Array(withoutAad.encryptedData))
+    const withEmpty = await Crypto.encrypt(aliceKp, bobKp, data, iv, new ArrayBuffer(0))
+    expect(new Uint8Array(
+      await Crypto.decrypt(aliceKp, bobKp, withEmpty.encryptedData, iv)
+    )).toEqual(new Uint8Array(data))
+  }
+)
+
+test(
+  'Crypto can seal and open data',
+  async () => {
+    const sealed = await Crypto.seal(bobKp.pub(), data)
+    expect(new Uint8Array(sealed)[0]).toBe(1)
+    expect(sealed.byteLength).toBe(1 + 65 + data.byteLength + 16)
+    expect(new Uint8Array(await Crypto.open(bobKp, sealed)))
+      .toEqual(new Uint8Array(data))
+    expect(new Uint8Array(await Crypto.open(bobKp.priv(), sealed)))
+      .toEqual(new Uint8Array(data))
+    // Every message has its own ephemeral key.
+    expect(new Uint8Array(await Crypto.seal(bobKp, data)))
+      .not.toEqual(new Uint8Array(sealed))
+    await expect(Crypto.open(aliceKp, sealed)).rejects.toThrow()
+  }
+)
+
+test(
+  'Crypto sealed data is bound to context and additional data',
+  async () => {
+    const additionalData = (new TextEncoder()).encode('header')
+    const sealed = await Crypto.seal(bobKp, data, {
+      context: 'chat v1',
+      additionalData
+    })
+    expect(new Uint8Array(await Crypto.open(bobKp, sealed, {
+      context: 'chat v1',
+      additionalData
+    }))).toEqual(new Uint8Array(data))
+    await expect(Crypto.open(bobKp, sealed, { additionalData })).rejects
+      .toThrow()
+    await expect(Crypto.open(bobKp, sealed, { context: 'chat v1' })).rejects
+      .toThrow()
+    const tampered = new Uint8Array(sealed)
+    tampered[0] = 2
+    await expect(Crypto.open(bobKp, tampered.buffer)).rejects
+      .toThrow('version')
+    await expect(Crypto.open(bobKp, new ArrayBuffer(10))).rejects.toThrow()
+  }
+)
+
+test(
+  'Crypto can encrypt to envelope and decrypt it',
+  async () => {
+    const additionalData = (new TextEncoder()).encode('message-id: 1')
+    for (const format of ['binary', 'json']) {
+      const envelope = await Crypto.encryptToEnvelope(aliceKp, bobKp, data, {
+        format,
+        additionalData
+      })
+      expect(typeof envelope).toBe(format === 'json' ? 'string' : 'object')
+      const result = await Crypto.decryptEnvelope(bobKp, envelope, {
+        senders: [bobKp, aliceKp.pub()]
+      })
+      expect(new Uint8Array(result.data)).toEqual(new Uint8Array(data))
+      expect(result.kid).toBe(await aliceKp.thumbprint())
+      expect(await result.sender.equals(aliceKp)).toBe(true)
+      expect(new Uint8Array(result.additionalData)).toEqual(additionalData)
+      await expect(Crypto.decryptEnvelope(bobKp, envelope, { senders: bobKp }))
+        .rejects.toThrow('unknown')
+    }
+  }
+)
+
+test(
+  'Crypto envelope can carry sender SPKI or nothing',
+  async () => {
+    const withSpki = await Crypto.encryptToEnvelope(aliceKp, bobKp, data, {
+      sender: 'spki'
+    })
+    const result = await Crypto.decryptEnvelope(bobKp.priv(), withSpki)
+    expect(new Uint8Array(result.data)).toEqual(new Uint8Array(data))
+    expect(await result.sender.equals(aliceKp)).toBe(true)
+    await expect(Crypto.decryptEnvelope(bobKp, withSpki, { senders: bobKp }))
+      .rejects.toThrow()
+    const anonymous = await Crypto.encryptToEnvelope(aliceKp, bobKp, data, {
+      sender: 'none'
+    })
+    await expect(Crypto.decryptEnvelope(bobKp, anonymous)).rejects.toThrow()
+    expect(new Uint8Array((await Crypto.decryptEnvelope(bobKp, anonymous, {
+      senders: aliceKp
+    })).data)).toEqual(new Uint8Array(data))
+  }
+)
+
+test(
+  'Crypto envelope header is authenticated',
+  async () => {
+    const json = JSON.parse(await Crypto.encryptToEnvelope(
+      aliceKp, bobKp, data, { format: 'json', kid: 'alice' }
+    ))
+    const senders = [(await crypto.PubKey.fromJwk({
+      ...(await aliceKp.pub().toJwk()),
+      kid: 'alice'
+    }))]
+    expect(new Uint8Array(
+      (await Crypto.decryptEnvelope(bobKp, json, { senders })).data
+    )).toEqual(new Uint8Array(data))
+    await expect(Crypto.decryptEnvelope(bobKp, { ...json, aad: 'AA' }, {
+      senders
+    })).rejects.toThrow()
+    await expect(Crypto.decryptEnvelope(bobKp, { ...json, alg: 'OTHER' }, {
+      senders
+    })).rejects.toThrow('algorithm')
+  }
+)
+
+test(
+  'Crypto can encrypt to several recipients',
+  async () => {
+    const carolKp = await KeyPair.fromRandom()
+    const additionalData = (new TextEncoder()).encode('message-id: 2')
+    for (const format of ['binary', 'json']) {
+      const envelope = await Crypto.encryptToRecipients(
+        [aliceKp.pub(), bobKp, carolKp.pub()],
+        data,
+        { format, additionalData }
+      )
+      const parsed = crypto.Envelope.parse(envelope)
+      expect(parsed.recipients.map(r => r.kid)).toEqual([
+        await aliceKp.thumbprint(),
+        await bobKp.thumbprint(),
+        await carolKp.thumbprint()
+      ])
+      for (const recipient of [aliceKp, bobKp.priv(), carolKp]) {
+        const result = await Crypto.decryptEnvelope(recipient, envelope)
+        expect(new Uint8Array(result.data)).toEqual(new Uint8Array(data))
+        expect(new Uint8Array(result.additionalData)).toEqual(additionalData)
+      }
+      await expect(Crypto.decryptEnvelope(
+        await KeyPair.fromRandom(), envelope
+      )).rejects.toThrow('not addressed')
+    }
+    await expect(Crypto.encryptToRecipients([], data)).rejects.toThrow()
+  }
+)
+
+test(
+  'Crypto multi-recipient envelope can hide recipients',
+  async () => {
+    const envelope = await Crypto.encryptToRecipients(
+      [aliceKp, bobKp],
+      data,
+      { format: 'json', hidden: true }
+    )
+    const json = JSON.parse(envelope)
+    expect(json.recipients.every(r => r.kid === undefined)).toBe(true)
+    for (const recipient of [aliceKp, bobKp]) {
+      expect(new Uint8Array((await Crypto.decryptEnvelope(recipient, json)).data))
+        .toEqual(new Uint8Array(data))
+    }
+    await expect(Crypto.decryptEnvelope(await KeyPair.fromRandom(), json))
+      .rejects.toThrow('not addressed')
+    await expect(Crypto.decryptEnvelope(bobKp, {
+      ...json,
+      recipients: json.recipients.slice().reverse().slice(1)
+    })).rejects.toThrow()
+  }
+)
+
+test(
+  'Crypto multi-recipient envelope addresses recipients by kid',
+  async () => {
+    const bobPub = await crypto.PubKey.fromJwk({
+      ...(await bobKp.pub().toJwk()),
+      kid: 'bob'
+    })
+    const bobPriv = await crypto.PrivKey.fromJwk({
+      ...(await bobKp.priv().toJwk()),
+      kid: 'bob'
+    })
+    const json = JSON.parse(await Crypto.encryptToRecipients(
+      [aliceKp, bobPub], data, { format: 'json' }
+    ))
+    expect(json.recipients[1].kid).toBe('bob')
+    expect(new Uint8Array((await Crypto.decryptEnvelope(bobPriv, json)).data))
+      .toEqual(new Uint8Array(data))
+    // Bob's own key may lack the kid the sender knows it by, e.g. from PEM.
+    const bobFromPem = await KeyPair.fromPem(await bobKp.toPem())
+    expect(bobFromPem.priv().metadata()).toEqual({})
+    expect(new Uint8Array((await Crypto.decryptEnvelope(bobFromPem, json)).data))
+      .toEqual(new Uint8Array(data))
+    await expect(Crypto.decryptEnvelope(await KeyPair.fromRandom(), json))
+      .rejects.toThrow('not addressed')
+    await expect(Crypto.decryptEnvelope(bobPriv, {
+      ...json,
+      recipients: [json.recipients[0], { ...json.recipients[1], kid: 'carol' }]
+    })).rejects.toThrow()
+  }
+)
+
+const pipe = async (chunks, transform) => {
+  const output = []
+  const readable = new ReadableStream({
+    start (controller) {
+      for (const chunk of chunks) { controller.enqueue(chunk) }
+      controller.close()
+    }
+  }).pipeThrough(transform)
+  for await (const chunk of readable) { output.push(chunk) }
+  return output
+}
+
+test(
+  'Crypto can encrypt and decrypt streams in chunks',
+  async () => {
+    const plain = crypto.Convert.concat(
+      ...Array.from({ length: 5 }, (_, i) => new Uint8Array(7).fill(i))
+    )
+    const additionalData = (new TextEncoder()).encode('file: a.bin')
+    for (const [size, chunkSize] of [[35, 10], [30, 10], [0, 10], [35, 64]]) {
+      const input = new Uint8Array(plain.slice(0, size))
+      const encrypted = await pipe(
+        [input.subarray(0, 3), input.subarray(3, 20), input.subarray(20)],
+        Crypto.encryptStream(aliceKp, bobKp.pub(), { chunkSize, additionalData })
+      )
+      expect(encrypted.length).toBe(1 + Math.max(1, Math.ceil(size / chunkSize)))
+      expect(encrypted[0].length).toBe(21)
+      const decrypted = await pipe(
+        encrypted,
+        Crypto.decryptStream(aliceKp.pub(), bobKp, { additionalData })
+      )
+      expect(new Uint8Array(crypto.Convert.concat(...decrypted))).toEqual(input)
+      const whole = new Uint8Array(crypto.Convert.concat(...encrypted))
+      const bytewise = await pipe(
+        Array.from(whole, byte => new Uint8Array([byte])),
+        Crypto.decryptStream(aliceKp.pub(), bobKp.priv(), { additionalData })
+      )
+      expect(new Uint8Array(crypto.Convert.concat(...bytewise))).toEqual(input)
+    }
+    const text = await pipe(
+      await pipe(['test', '_data'], Crypto.encryptStream(aliceKp, bobKp)),
+      Crypto.decryptStream(aliceKp, bobKp)
+    )
+    expect(new Uint8Array(crypto.Convert.concat(...text)))
+      .toEqual(new Uint8Array(data))
+  }
+)
+
+test(
+  'Crypto stream decryption detects reordering and truncation',
+  async () => {
+    const input = new Uint8Array(40).fill(1)
+    const encrypted = await pipe(
+      [input],
+      Crypto.encryptStream(aliceKp, bobKp, { chunkSize: 10 })
+    )
+    expect(encrypted.length).toBe(5)
+    const decrypt = chunks => pipe(chunks, Crypto.decryptStream(aliceKp, bobKp))
+    const [header, c0, c1, c2, c3] = encrypted
+    await expect(decrypt([header, c1, c0, c2, c3])).rejects.toThrow('reordered')
+    await expect(decrypt([header, c0, c1, c2])).rejects.toThrow('truncated')
+    await expect(decrypt([header, c0, c1, c3])).rejects.toThrow()
+    await expect(decrypt([header, c0, c1, c2, c3, c3])).rejects.toThrow()
+    await expect(decrypt([header.subarray(0, 20)])).rejects.toThrow('truncated')
+    await expect(decrypt([header])).rejects.toThrow()
+    const tampered = c2.slice()
+    tampered[0] ^= 1
+    await expect(decrypt([header, c0, c1, tampered, c3])).rejects.toThrow()
+    const otherHeader = header.slice()
+    otherHeader[0] = 2
+    await expect(decrypt([otherHeader, c0, c1, c2, c3])).rejects
+      .toThrow('version')
+    await expect(pipe(
+      encrypted,
+      Crypto.decryptStream(aliceKp, bobKp, { additionalData: new Uint8Array(1) })
+    )).rejects.toThrow()
+    await expect(pipe(encrypted, Crypto.decryptStream(bobKp, bobKp))).rejects
+      .toThrow()
+    expect(() => Crypto.encryptStream(aliceKp, bobKp, { chunkSize: 0 }))
+      .toThrow('chunk size')
+  }
+)
+
+test(
+  'Crypto can encrypt and decrypt data with password',
+  async () => {
+    for (const options of [
+      { cost: 1024 },
+      { kdf: 'PBKDF2', iterations: 1000 },
+      { cost: 1024, blockSize: 4, parallelization: 2, cipher: 'AES-128-GCM' }
+    ]) {
+      const encrypted = await Crypto.encryptWithPassword('secret', data, options)
+      expect(new Uint8Array(await Crypto.decryptWithPassword('secret', encrypted)))
+        .toEqual(new Uint8Array(data))
+      await expect(Crypto.decryptWithPassword('wrong', encrypted)).rejects
+        .toThrow('wrong password')
+      const tampered = new Uint8Array(encrypted.slice(0))
+      tampered[tampered.length - 1] ^= 1
+      await expect(Crypto.decryptWithPassword('secret', tampered.buffer)).rejects
+        .toThrow()
+    }
+    const bytes = (new TextEncoder()).encode('secret')
+    const encrypted = await Crypto.encryptWithPassword(bytes, data, { cost: 1024 })
+    expect(new Uint8Array(await Crypto.decryptWithPassword('secret', encrypted)))
+      .toEqual(new Uint8Array(data))
+    await expect(Crypto.encryptWithPassword('secret', data, {
+      cipher: 'AES-256-CBC'
+    })).rejects.toThrow('cipher')
+    await expect(Crypto.encryptWithPassword('secret', data, { cost: 1000 }))
+      .rejects.toThrow('scrypt')
+    await expect(Crypto.encryptWithPassword('secret', data, { kdf: 'bcrypt' }))
+      .rejects.toThrow('bcrypt')
+  }
+)
+
+test(
+  'Crypto encrypts with password using default KDF parameters',
+  async () => {
+    const Der = crypto.Der
+    const kdfParams = buf => Der.decode(buf).children[0].children[1]
+      .children[0].children[1].children
+    const scrypt = kdfParams(await Crypto.encryptWithPassword('secret', data))
+    expect(scrypt[0].content.length).toBe(16)
+    expect(scrypt.slice(1).map(e => Der.readNumber(e))).toEqual([16384, 8, 1])
+    const pkcs8 = await aliceKp.priv().toEncryptedPkcs8('secret')
+    const pbkdf2 = kdfParams(pkcs8)
+    expect(Der.readNumber(pbkdf2[1])).toBe(100000)
+    expect(Der.readOid(pbkdf2[2].children[0])).toBe('1.2.840.113549.2.9')
+  }
+)
+
+test(
+  'Crypto rejects password encrypted data with excessive KDF parameters',
+  async () => {
+    const Der = crypto.Der
+    const blob = (kdfOid, params) => Der.sequence([
+      Der.sequence([
+        Der.oid('1.2.840.113549.1.5.13'),
+        Der.sequence([
+          Der.sequence([
+            Der.oid(kdfOid),
+            Der.sequence([Der.octetString(new Uint8Array(16)), ...params])
+          ]),
+          Der.sequence([
+            Der.oid('2.16.840.1.101.3.4.1.46'),
+            Der.sequence([Der.octetString(new Uint8Array(12)), Der.integer(16)])
+          ])
+        ])
+      ]),
+      Der.octetString(new Uint8Array(32))
+    ]).buffer
+    const scrypt = (...numbers) =>
+      blob('1.3.6.1.4.1.11591.4.11', numbers.map(n => Der.integer(n)))
+    for (const encrypted of [
+      scrypt(1 << 21, 1, 1),
+      scrypt(1024, 64, 1),
+      scrypt(2, 1, 1 << 20)
+    ]) {
+      await expect(Crypto.decryptWithPassword('secret', encrypted)).rejects
+        .toThrow('scrypt: parameters exceed limits')
+    }
+    const pbkdf2 = blob('1.2.840.113549.1.5.12', [Der.integer(2 ** 40)])
+    await expect(Crypto.decryptWithPassword('secret', pbkdf2)).rejects
+      .toThrow('iteration count exceeds limit')
+    await expect(aliceKp.priv().toEncryptedPkcs8('secret', { iterations: 2 ** 30 }))
+      .rejects.toThrow('iteration count exceeds limit')
+  }
+)
+
+test(
+  'Crypto can derive shared secret and symmetric keys',
+  async () => {
+    const secret = await Crypto.deriveSharedSecret(aliceKp, bobKp.pub())
+    expect(secret.byteLength).toBe(32)
+    expect(new Uint8Array(await Crypto.deriveSharedSecret(bobKp.priv(), aliceKp)))
+      .toEqual(new Uint8Array(secret))
+    const info = (new TextEncoder()).encode('session')
+    for (const [kdf, expected] of [
+      ['HKDF', await crypto.Kdf.hkdf(secret, new ArrayBuffer(0), info, 48)],
+      ['X9.63', await crypto.Kdf.x963(secret, info, 48)],
+      ['ConcatKDF', await crypto.Kdf.concatKdf(secret, info, 48)]
+    ]) {
+      const raw = await Crypto.deriveSymmetricKey(aliceKp, bobKp, {
+        kdf,
+        info,
+        length: 48
+      })
+      expect(new Uint8Array(raw)).toEqual(new Uint8Array(expected))
+      expect(new Uint8Array(await Crypto.deriveSymmetricKey(bobKp, aliceKp, {
+        kdf,
+        info,
+        length: 48
+      }))).toEqual(new Uint8Array(raw))
+    }
+    const aesKey = await Crypto.deriveSymmetricKey(aliceKp, bobKp, {
+      kdf: 'X9.63',
+      algorithm: 'AES-GCM'
+    })
+    expect(aesKey.key().algorithm).toEqual({ name: 'AES-GCM', length: 256 })
+    expect(new Uint8Array(await aesKey.toRaw())).toEqual(new Uint8Array(
+      await Crypto.deriveSymmetricKey(aliceKp, bobKp, { kdf: 'X9.63' })
+    ))
+    const hmacKey = await Crypto.deriveSymmetricKey(aliceKp, bobKp, {
+      algorithm: 'HMAC',
+      hash: 'SHA-512',
+      length: 64
+    })
+    expect(hmacKey.key().algorithm.hash.name).toBe('SHA-512')
+    expect(hmacKey.key().usages.sort()).toEqual(['sign', 'verify'])
+    await expect(Crypto.deriveSymmetricKey(aliceKp, bobKp, { kdf: 'PBKDF2' }))
+      .rejects.toThrow('KDF')
+  }
+)
+
+test(
+  'Crypto can encrypt and decrypt with SymmetricKey',
+  async () => {
+    const key = await crypto.SymmetricKey.fromRandom()
+    const additionalData = (new TextEncoder()).encode('header')
+    const { iv, encryptedData } = await Crypto.encryptSymmetric(key, data, additionalData)
+    expect(new Uint8Array(await Crypto.decryptSymmetric(key, encryptedData, iv, additionalData)))
+      .toEqual(new Uint8Array(data))
+    await expect(Crypto.decryptSymmetric(key, encryptedData, iv)).rejects.toThrow()
+    const plain = await Crypto.encryptSymmetric(key, data)
+    expect(plain.iv.length).toBe(16)
+    expect(new Uint8Array(await Crypto.decryptSymmetric(key, plain.encryptedData, plain.iv)))
+      .toEqual(new Uint8Array(data))
+    const derived = await Crypto.deriveSymmetricKey(aliceKp, bobKp, {
+      algorithm: 'AES-GCM'
+    })
+    const ecdh = await Crypto.encrypt(aliceKp, bobKp, data)
+    await expect(Crypto.decryptSymmetric(derived, ecdh.encryptedData, ecdh.iv)).rejects
+      .toThrow()
+    const hmac = await crypto.SymmetricKey.fromRandom('HMAC')
+    await expect(Crypto.encryptSymmetric(hmac, data)).rejects.toThrow('AES-GCM')
+    await expect(Crypto.encrypt(key, bobKp, data)).rejects.toThrow('encryptSymmetric')
+    await expect(Crypto.decrypt(key, bobKp, encryptedData, iv)).rejects
+      .toThrow('decryptSymmetric')
+  }
+)
+
+test(
+  'Crypto can compute and verify MAC',
+  async () => {
+    const key = await crypto.SymmetricKey.fromHex(
+      '0b'.repeat(20),
+      'HMAC'
+    )
+    // RFC 4231 test case 1.
+    const mac = await Crypto.mac(key, (new TextEncoder()).encode('Hi There'))
+    expect(crypto.Convert.arrayBufferToHexString(mac)).toBe(
+      'b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7'
+    )
+    expect(await Crypto.verifyMac(key, (new TextEncoder()).encode('Hi There'), mac))
+      .toBe(true)
+    expect(await Crypto.verifyMac(key, data, mac)).toBe(false)
+    const aes = await crypto.SymmetricKey.fromRandom()
+    await expect(Crypto.mac(aes, data)).rejects.toThrow('HMAC')
+  }
+)
@@ -0,0 +1,90 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+const crypto = await import('../src/crypto.js')
+
+const Convert = crypto.Convert
+const Der = crypto.Der
+
+const hex = buf => Convert.arrayBufferToHexString(buf)
+const unhex = str => Convert.hexStringToArrayBuffer(str)
+
+test(
+  'Der encodes and decodes OBJECT IDENTIFIER',
+  () => {
+    const oid = Der.oid('1.2.840.10045.3.1.7')
+    expect(hex(oid)).toBe('06082a8648ce3d030107')
+    expect(Der.readOid(Der.decode(oid))).toBe('1.2.840.10045.3.1.7')
+  }
+)
+
+test(
+  'Der encodes INTEGER minimally with sign byte',
+  () => {
+    expect(hex(Der.integer(0))).toBe('020100')
+    expect(hex(Der.integer(new Uint8Array([0, 0, 0x7f])))).toBe('02017f')
+    expect(hex(Der.integer(new Uint8Array([0x80])))).toBe('02020080')
+    expect(hex(Der.readInteger(Der.decode(unhex('02020080'))))).toBe('80')
+    expect(Der.readNumber(Der.decode(Der.integer(300)))).toBe(300)
+  }
+)
+
+test(
+  'Der encodes long form lengths',
+  () => {
+    const encoded = Der.octetString(new Uint8Array(200))
+    expect(hex(encoded.subarray(0, 3))).toBe('0481c8')
+    expect(Der.readOctetString(Der.decode(encoded)).length).toBe(200)
+  }
+)
+
+test(
+  'Der decodes nested constructed elements',
+  () => {
+    const encoded = Der.sequence([
+      Der.integer(1),
+      Der.encode(Der.context(0), Der.bitString(new Uint8Array([1, 2])))
+    ])
+    const seq = Der.expect(Der.decode(encoded), Der.tags.sequence, 'test')
+    expect(seq.children.length).toBe(2)
+    expect(seq.children[1].tag).toBe(0xa0)
+    expect(Array.from(Der.readBitString(seq.children[1].children[0])))
+      .toEqual([1, 2])
+  }
+)
+
+test(
+  'Der rejects malformed input',
+  () => {
+    // Trailing bytes.
+    expect(() => Der.decode(unhex('02010100'))).toThrow(/trailing/)
+    // Indefinite length.
+    expect(() => Der.decode(unhex('30800000'))).toThrow(/indefinite/)
+    // Non-minimal length.
+    expect(() => Der.decode(unhex('04810100'))).toThrow(/non-minimal/)
+    // Truncated content.
+    expect(() => Der.decode(unhex('040500'))).toThrow(/exceeds/)
+    // Non-minimal and negative INTEGER.
+    expect(() => Der.readInteger(Der.decode(unhex('0202007f')))).toThrow()
+    expect(() => Der.readInteger(Der.decode(unhex('020180')))).toThrow()
+    // Unexpected tag.
+    expect(() => Der.expect(Der.decode(Der.null()), Der.tags.sequence, 'x'))
+      .toThrow(/x must have tag/)
+  }
+)
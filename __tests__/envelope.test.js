@@ -0,0 +1,121 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+const crypto = await import('../src/crypto.js')
+
+const Convert = crypto.Convert
+const Envelope = crypto.Envelope
+
+const envelope = {
+  version: 1,
+  alg: 'ECDH-P256-A256GCM',
+  kid: 'key-1',
+  iv: new Uint8Array([1, 2, 3]),
+  aad: new Uint8Array([4]),
+  ciphertext: new Uint8Array([5, 6])
+}
+
+test(
+  'Envelope has stable binary form',
+  async () => {
+    const binary = Envelope.toBinary(envelope)
+    expect(Convert.arrayBufferToHexString(binary)).toBe(
+      '3029' + '020101' +
+      '0c11' + Convert.arrayBufferToHexString(
+        (new TextEncoder()).encode('ECDH-P256-A256GCM')
+      ) +
+      '80056b65792d31' + '0403010203' + '820104' + '04020506'
+    )
+    const decoded = Envelope.fromBinary(binary)
+    expect(decoded.kid).toBe('key-1')
+    expect(decoded.iv).toEqual(envelope.iv)
+    expect(decoded.aad).toEqual(envelope.aad)
+    expect(decoded.ciphertext).toEqual(envelope.ciphertext)
+  }
+)
+
+test(
+  'Envelope JSON and binary forms are interchangeable',
+  async () => {
+    const json = Envelope.toJSON(envelope)
+    expect(JSON.parse(json)).toEqual({
+      v: 1,
+      alg: 'ECDH-P256-A256GCM',
+      kid: 'key-1',
+      iv: 'AQID',
+      aad: 'BA',
+      ct: 'BQY'
+    })
+    const fromJson = Envelope.parse(json)
+    expect(new Uint8Array(Envelope.toBinary(fromJson)))
+      .toEqual(new Uint8Array(Envelope.toBinary(envelope)))
+    expect(new Uint8Array(Envelope.header(fromJson)))
+      .toEqual(new Uint8Array(Envelope.header(envelope)))
+    expect(Envelope.parse(JSON.parse(json)).kid).toBe('key-1')
+  }
+)
+
+test(
+  'Envelope rejects malformed input',
+  async () => {
+    const binary = new Uint8Array(Envelope.toBinary(envelope))
+    expect(() => Envelope.fromBinary(Convert.concat(binary, new Uint8Array(1))))
+      .toThrow()
+    const version2 = binary.slice()
+    version2[4] = 2
+    expect(() => Envelope.fromBinary(version2)).toThrow('version')
+    expect(() => Envelope.toJSON({ ...envelope, version: 2 })).toThrow()
+    expect(() => Envelope.toBinary({ ...envelope, spki: new Uint8Array(1) }))
+      .toThrow()
+    const json = JSON.parse(Envelope.toJSON(envelope))
+    expect(() => Envelope.fromJSON({ ...json, ct: 'not base64!' })).toThrow()
+    expect(() => Envelope.fromJSON({ ...json, iv: undefined })).toThrow()
+    expect(() => Envelope.fromJSON({ ...json, alg: '' })).toThrow()
+  }
+)
+
+test(
+  'Envelope can carry recipients',
+  async () => {
+    const withRecipients = {
+      version: 1,
+      alg: 'ECDH-ES-P256-A256KW-A256GCM',
+      spki: new Uint8Array([7]),
+      recipients: [
+        { kid: 'a', key: new Uint8Array([8]) },
+        { key: new Uint8Array([9]) }
+      ],
+      iv: new Uint8Array([1]),
+      ciphertext: new Uint8Array([2])
+    }
+    const decoded = Envelope.fromBinary(Envelope.toBinary(withRecipients))
+    expect(decoded.recipients.length).toBe(2)
+    expect(decoded.recipients[0].kid).toBe('a')
+    expect(decoded.recipients[0].key).toEqual(new Uint8Array([8]))
+    expect(decoded.recipients[1].kid).toBe(undefined)
+    expect(decoded.recipients[1].key).toEqual(new Uint8Array([9]))
+    const json = JSON.parse(Envelope.toJSON(withRecipients))
+    expect(json.recipients).toEqual([{ kid: 'a', key: 'CA' }, { key: 'CQ' }])
+    expect(new Uint8Array(Envelope.header(Envelope.fromJSON(json))))
+      .toEqual(new Uint8Array(Envelope.header(withRecipients)))
+    expect(() => Envelope.fromJSON({ ...json, recipients: [] })).toThrow()
+    expect(() => Envelope.fromJSON({ ...json, recipients: [{ kid: 'a' }] }))
+      .toThrow()
+  }
+)
@@ -0,0 +1,55 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+const crypto = await import('../src/crypto.js')
+
+const Jwk = crypto.Jwk
+const KeyPair = crypto.KeyPair
+
+test(
+  'Jwk computes RFC 7638 example thumbprint',
+  async () => {
+    const jwk = {
+      kty: 'RSA',
+      n: '0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw',
+      e: 'AQAB',
+      alg: 'RS256',
+      kid: '2011-04-29'
+    }
+    expect(await Jwk.thumbprint(jwk)).toBe('NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs')
+  }
+)
+
+test(
+  'Jwk thumbprint ignores private and optional members',
+  async () => {
+    const kp = await KeyPair.fromRandom()
+    const priv = await kp.toJwk({ kid: 'key-1' })
+    expect(await Jwk.thumbprint(priv)).toBe(await Jwk.thumbprint(Jwk.toPublic(priv)))
+  }
+)
+
+test(
+  'Jwk public copy has no private members',
+  async () => {
+    const kp = await KeyPair.fromRandom()
+    const pub = Jwk.toPublic(await kp.toJwk({ use: 'sig' }))
+    expect(Object.keys(pub).sort()).toEqual(['crv', 'kty', 'use', 'x', 'y'])
+  }
+)
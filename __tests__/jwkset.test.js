@@ -0,0 +1,112 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+const crypto = await import('../src/crypto.js')
+
+const Jwk = crypto.Jwk
+const JwkSet = crypto.JwkSet
+const KeyPair = crypto.KeyPair
+const PubKey = crypto.PubKey
+
+let kp1 = null
+let kp2 = null
+
+beforeEach(async () => {
+  kp1 = await KeyPair.fromRandom()
+  kp2 = await KeyPair.fromRandom()
+})
+
+test(
+  'JwkSet can be built from keys and exported as public JSON',
+  async () => {
+    const set = await JwkSet.fromKeys([kp1, kp2.pub()])
+    const json = JSON.parse(JSON.stringify(set))
+    expect(json.keys.length).toBe(2)
+    for (const jwk of json.keys) {
+      expect(jwk.d).toBeUndefined()
+      expect(jwk.key_ops).toBeUndefined()
+      expect(jwk.kid).toBe(await Jwk.thumbprint(jwk))
+    }
+  }
+)
+
+test(
+  'JwkSet finds entries by kid and thumbprint',
+  async () => {
+    const set = JwkSet.fromJSON(JSON.stringify({
+      keys: [
+        await kp1.toPublicJwk({ kid: 'first' }),
+        await kp2.toPublicJwk({ kid: 'second' })
+      ]
+    }))
+    expect(set.findByKid('second').x).toBe((await kp2.pub().toJwk()).x)
+    expect(set.findByKid('third')).toBeUndefined()
+    const thumbprint = await Jwk.thumbprint(await kp1.toPublicJwk())
+    expect((await set.findByThumbprint(thumbprint)).kid).toBe('first')
+  }
+)
+
+test(
+  'JwkSet imports P-256 entries and reports unsupported ones',
+  async () => {
+    const set = new JwkSet([
+      { kty: 'RSA', kid: 'rsa', n: 'AQAB', e: 'AQAB' },
+      await kp1.toJwk({ kid: 'private' }),
+      await kp2.toPublicJwk({ kid: 'public' }),
+      { kty: 'EC', crv: 'P-384', kid: 'p384', x: 'AA', y: 'AA' }
+    ])
+    const { keys, skipped } = await set.toKeys()
+    expect(keys.length).toBe(2)
+    expect(keys[0]).toBeInstanceOf(KeyPair)
+    expect(keys[1]).toBeInstanceOf(PubKey)
+    expect(keys[1].metadata().kid).toBe('public')
+    expect(skipped.map(s => s.kid)).toEqual(['rsa', 'p384'])
+    expect(skipped[0].index).toBe(0)
+  }
+)
+
+test(
+  'JwkSet imports entries with any P-256 JWA alg',
+  async () => {
+    const entry = {
+      ...(await kp2.toPublicJwk()),
+      kid: 'wrap',
+      alg: 'ECDH-ES+A256KW',
+      use: 'enc'
+    }
+    const set = new JwkSet([entry, { ...entry, kid: 'rsa', alg: 'RS256' }])
+    const { keys, skipped } = await set.toKeys()
+    expect(keys.length).toBe(1)
+    expect(keys[0].metadata()).toEqual({ kid: 'wrap', alg: 'ECDH-ES+A256KW', use: 'enc' })
+    expect((await keys[0].toJwk()).alg).toBe('ECDH-ES+A256KW')
+    expect(skipped.map(s => s.kid)).toEqual(['rsa'])
+    await expect(kp2.toPublicJwk({ alg: 'ECDH-ES+A256KW' })).rejects.toThrow(/alg/)
+  }
+)
+
+test(
+  'JwkSet does not modify given entries',
+  async () => {
+    const jwk = await kp1.toPublicJwk()
+    const set = new JwkSet([jwk])
+    set.findByKid(undefined).x = 'changed'
+    expect(set.keys()[0].x).toBe(jwk.x)
+    expect(() => JwkSet.fromJSON('{}')).toThrow(/keys/)
+  }
+)
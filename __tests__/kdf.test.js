@@ -0,0 +1,93 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+const crypto = await import('../src/crypto.js')
+
+const Convert = crypto.Convert
+const Kdf = crypto.Kdf
+
+const hex = str => Convert.hexStringToArrayBuffer(str)
+
+test(
+  'Kdf.hkdf matches RFC 5869',
+  async () => {
+    const okm = await Kdf.hkdf(
+      new Uint8Array(22).fill(0x0b),
+      hex('000102030405060708090a0b0c'),
+      hex('f0f1f2f3f4f5f6f7f8f9'),
+      42
+    )
+    expect(Convert.arrayBufferToHexString(okm)).toBe(
+      '3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf' +
+      '34007208d5b887185865'
+    )
+  }
+)
+
+test(
+  'Kdf.x963 matches ANSI X9.63 vectors',
+  async () => {
+    // NIST CAVS ansx963_2001, SHA-256, no SharedInfo.
+    expect(Convert.arrayBufferToHexString(await Kdf.x963(
+      hex('96c05619d56c328ab95fe84b18264b08725b85e33fd34f08'),
+      new ArrayBuffer(0),
+      16
+    ))).toBe('443024c3dae66b95e6f5670601558f71')
+    // openssl kdf -kdfopt digest:SHA384 X963KDF
+    expect(Convert.arrayBufferToHexString(await Kdf.x963(
+      hex('00112233'),
+      hex('aabb'),
+      40,
+      'SHA-384'
+    ))).toBe(
+      '76a16ee23b87dc073f4abe3252aa64c1b3104a54ef2c720be627a37deca0c8c4' +
+      'abb4459159f4a17e'
+    )
+  }
+)
+
+test(
+  'Kdf.concatKdf matches NIST SP 800-56A single-step KDF',
+  async () => {
+    // openssl kdf -kdfopt digest:SHA256 SSKDF
+    expect(Convert.arrayBufferToHexString(await Kdf.concatKdf(
+      hex('00112233'),
+      hex('aabb'),
+      40
+    ))).toBe(
+      'e56796a1be9c1d47d84d0fa17a8eef0172128f88389d9a6e4bd0841760555' +
+      '71e5ea6ae032fc251f9'
+    )
+  }
+)
+
+test(
+  'Kdf rejects unsupported parameters',
+  async () => {
+    await expect(Kdf.x963(hex('00'), hex(''), 16, 'MD5')).rejects.toThrow('hash')
+    await expect(Kdf.concatKdf(hex('00'), hex(''), 0)).rejects.toThrow('length')
+    await expect(Kdf.importKey(new Uint8Array(16), 'DES')).rejects.toThrow('DES')
+    const key = await Kdf.importKey(new Uint8Array(32), 'HMAC', {
+      hash: 'SHA-384',
+      extractable: true
+    })
+    expect(key.algorithm.hash.name).toBe('SHA-384')
+    expect(key.extractable).toBe(true)
+  }
+)
@@ -0,0 +1,79 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+const crypto = await import('../src/crypto.js')
+
+const Pem = crypto.Pem
+
+const array = new Uint8Array(100)
+
+beforeEach(() => {
+  globalThis.crypto.getRandomValues(array)
+})
+
+test(
+  'Pem wraps base64 body at 64 characters',
+  () => {
+    const lines = Pem.encode(array.buffer, 'TEST').trim().split('\n')
+    expect(lines[0]).toBe('-----BEGIN TEST-----')
+    expect(lines[lines.length - 1]).toBe('-----END TEST-----')
+    expect(lines[1].length).toBe(64)
+  }
+)
+
+test(
+  'ArrayBuffer can be restored after conversion to PEM',
+  () => {
+    const pem = Pem.encode(array.buffer, 'TEST')
+    expect(new Uint8Array(Pem.decode(pem, 'TEST').data)).toEqual(new Uint8Array(array.buffer))
+  }
+)
+
+test(
+  'Pem handles CRLF line endings and surrounding text',
+  () => {
+    const pem = 'Subject: test\r\n' +
+      Pem.encode(array.buffer, 'TEST').replaceAll('\n', '\r\n') +
+      'trailing text'
+    expect(new Uint8Array(Pem.decode(pem, 'TEST').data)).toEqual(new Uint8Array(array.buffer))
+  }
+)
+
+test(
+  'Pem reads several blocks from one bundle',
+  () => {
+    const other = new Uint8Array([1, 2, 3])
+    const bundle = Pem.encode(array.buffer, 'FIRST') + '\n' +
+      Pem.encode(other.buffer, 'SECOND')
+    const blocks = Pem.decodeAll(bundle)
+    expect(blocks.map(b => b.label)).toEqual(['FIRST', 'SECOND'])
+    expect(new Uint8Array(blocks[1].data)).toEqual(new Uint8Array(other.buffer))
+    expect(new Uint8Array(Pem.decode(bundle, ['THIRD', 'SECOND']).data)).toEqual(new Uint8Array(other.buffer))
+  }
+)
+
+test(
+  'Pem rejects missing labels and mismatched armour',
+  () => {
+    const pem = Pem.encode(array.buffer, 'TEST')
+    expect(() => Pem.decode(pem, 'OTHER')).toThrow()
+    expect(() => Pem.decodeAll(pem.replace('END TEST', 'END OTHER'))).toThrow()
+    expect(() => Pem.decodeAll(pem.replace(/\n.{3}/, '\n!!!'))).toThrow()
+  }
+)
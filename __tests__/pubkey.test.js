@@ -89,3 +89,175 @@ test(
     expect(await PubKey.fromPrivKey(kp.priv())).toEqual(kp.pub())
   }
 )
+
+test(
+  'PubKey can be exported and imported back as pem',
+  async () => {
+    const pub = kp.pub()
+    const pem = await pub.toPem()
+    expect(pem).toMatch(/^-----BEGIN PUBLIC KEY-----\n/)
+    expect(new Uint8Array(await (await PubKey.fromPem(pem)).toRaw())).toEqual(new Uint8Array(await pub.toRaw()))
+  }
+)
+
+test(
+  'PubKey can be imported from pem bundle',
+  async () => {
+    const other = await KeyPair.fromRandom()
+    const bundle = (await kp.pub().toPem()) +
+      (await other.toPem()) +
+      (await other.pub().toPem()).replaceAll('\n', '\r\n')
+    const pubs = await PubKey.fromPemBundle(bundle)
+    expect(pubs.length).toBe(2)
+    expect(new Uint8Array(await pubs[0].toRaw())).toEqual(new Uint8Array(await kp.pub().toRaw()))
+    expect(new Uint8Array(await pubs[1].toRaw())).toEqual(new Uint8Array(await other.pub().toRaw()))
+  }
+)
+
+test(
+  'PubKey can be exported and imported back as compressed point',
+  async () => {
+    const pub = kp.pub()
+    const compressed = await pub.toCompressed()
+    expect(compressed.byteLength).toBe(33)
+    const raw = new Uint8Array(await pub.toRaw())
+    expect(new Uint8Array(compressed)[0]).toBe(0x02 | (raw[64] & 1))
+    expect(new Uint8Array(await (await PubKey.fromCompressed(compressed)).toRaw())).toEqual(new Uint8Array(raw.buffer))
+    expect(new Uint8Array(await (await PubKey.fromRaw(compressed)).toRaw())).toEqual(new Uint8Array(raw.buffer))
+  }
+)
+
+test(
+  'PubKey decompresses known P-256 generator',
+  async () => {
+    const g = Convert.hexStringToArrayBuffer(
+      '036b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c296'
+    )
+    const coordinates = await (await PubKey.fromCompressed(g)).toCoordinates()
+    expect(Convert.arrayBufferToHexString(coordinates.y)).toBe(
+      '4fe342e2fe1a7f9b8ee7eb4a7c0f9e162bce33576b315ececbb6406837bf51f5'
+    )
+  }
+)
+
+test(
+  'PubKey rejects invalid compressed point',
+  async () => {
+    const bad = new Uint8Array(33)
+    bad[0] = 0x04
+    await expect(PubKey.fromCompressed(bad.buffer)).rejects.toThrow()
+    bad[0] = 0x02
+    bad.fill(0xff, 1)
+    await expect(PubKey.fromCompressed(bad.buffer)).rejects.toThrow()
+  }
+)
+
+test(
+  'PubKey can be imported from spki with compressed point',
+  async () => {
+    const Der = crypto.Der
+    const spki = Der.sequence([
+      Der.sequence([
+        Der.oid('1.2.840.10045.2.1'),
+        Der.oid('1.2.840.10045.3.1.7')
+      ]),
+      Der.bitString(await kp.pub().toCompressed())
+    ]).buffer
+    expect(new Uint8Array(await (await PubKey.fromSpki(spki)).toRaw())).toEqual(new Uint8Array(await kp.pub().toRaw()))
+  }
+)
+
+test(
+  'PubKey rejects spki of other algorithms',
+  async () => {
+    const Der = crypto.Der
+    const spki = Der.sequence([
+      Der.sequence([Der.oid('1.2.840.113549.1.1.1'), Der.null()]),
+      Der.bitString(new Uint8Array(10))
+    ]).buffer
+    await expect(PubKey.fromSpki(spki)).rejects.toThrow(/algorithm/)
+  }
+)
+
+test(
+  'PubKey can be exported and imported back as openssh',
+  async () => {
+    const pub = kp.pub()
+    const line = await pub.toOpenSsh('user@host')
+    expect(line).toMatch(/^ecdsa-sha2-nistp256 AAAAE2VjZHNhLXNoYTItbmlzdHAyNTY\S+ user@host$/)
+    expect(new Uint8Array(await (await PubKey.fromOpenSsh(line)).toRaw())).toEqual(new Uint8Array(await pub.toRaw()))
+    const withOptions = 'from="10.0.0.1",no-pty ' + line
+    expect(new Uint8Array(await (await PubKey.fromOpenSsh(withOptions)).toRaw())).toEqual(new Uint8Array(await pub.toRaw()))
+  }
+)
+
+test(
+  'PubKey import from jwk does not modify the jwk',
+  async () => {
+    const jwk = await kp.toJwk()
+    const copy = JSON.parse(JSON.stringify(jwk))
+    await PubKey.fromJwk(jwk)
+    expect(jwk).toEqual(copy)
+  }
+)
+
+test(
+  'PubKey import from jwk strictly checks its fields',
+  async () => {
+    const jwk = await kp.pub().toJwk()
+    await expect(PubKey.fromJwk({ ...jwk, kty: 'RSA' })).rejects.toThrow(/kty/)
+    await expect(PubKey.fromJwk({ ...jwk, crv: 'P-384' })).rejects.toThrow(/crv/)
+    await expect(PubKey.fromJwk({ ...jwk, x: jwk.x + 'AA' })).rejects.toThrow(/x/)
+    await expect(PubKey.fromJwk({ ...jwk, y: undefined })).rejects.toThrow(/y/)
+    await expect(PubKey.fromJwk({ ...jwk, alg: 'RS256' })).rejects.toThrow(/alg/)
+  }
+)
+
+test(
+  'PubKey keeps jwk metadata',
+  async () => {
+    const jwk = { ...(await kp.pub().toJwk()), kid: 'key-1', alg: 'ES256', use: 'sig' }
+    const pub = await PubKey.fromJwk(jwk)
+    expect(pub.metadata()).toEqual({ kid: 'key-1', alg: 'ES256', use: 'sig' })
+    const exported = await pub.toJwk({ kid: 'key-2' })
+    expect(exported.kid).toBe('key-2')
+    expect(exported.alg).toBe('ES256')
+    expect(exported.use).toBe('sig')
+  }
+)
+
+test(
+  'PubKey can be compared with other keys',
+  async () => {
+    const other = await KeyPair.fromRandom()
+    const same = await PubKey.fromSpki(await kp.pub().toSpki())
+    expect(await kp.pub().equals(same)).toBe(true)
+    expect(await kp.pub().equals(kp)).toBe(true)
+    expect(await kp.pub().equals(other.pub())).toBe(false)
+    expect(await kp.pub().equals(null)).toBe(false)
+  }
+)
+
+test(
+  'PubKey fingerprint is SHA-256 of spki',
+  async () => {
+    const pub = kp.pub()
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', await pub.toSpki())
+    const hex = Convert.arrayBufferToHexString(digest)
+    expect(await pub.fingerprint()).toBe(hex)
+    expect(await pub.fingerprint('base64')).toBe(Convert.arrayBufferToBase64(digest))
+    expect(await pub.fingerprint('colon')).toBe(hex.toUpperCase().match(/../g).join(':'))
+    expect(new Uint8Array(await pub.fingerprint('raw'))).toEqual(new Uint8Array(digest))
+    await expect(pub.fingerprint('other')).rejects.toThrow()
+  }
+)
+
+test(
+  'PubKey thumbprint matches RFC 7638',
+  async () => {
+    const jwk = await kp.pub().toJwk()
+    const canonical = `{"crv":"P-256","kty":"EC","x":"${jwk.x}","y":"${jwk.y}"}`
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', (new TextEncoder()).encode(canonical))
+    expect(await kp.pub().thumbprint()).toBe(Convert.arrayBufferToUrlBase64(digest))
+  }
+)
@@ -0,0 +1,100 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+const crypto = await import('../src/crypto.js')
+
+const Convert = crypto.Convert
+const Signature = crypto.Signature
+
+const h = hex => Convert.hexStringToArrayBuffer(hex)
+const x = buf => Convert.arrayBufferToHexString(buf)
+
+// r has the high bit set and needs 0x00 prefix, s has leading zero bytes.
+const raw = 'ff' + '11'.repeat(31) + '0000' + '7f'.repeat(30)
+const der = '3043' +
+  '022100' + 'ff' + '11'.repeat(31) +
+  '021e' + '7f'.repeat(30)
+
+test(
+  'Signature converts raw to minimal DER',
+  async () => {
+    expect(x(Signature.rawToDer(h(raw)))).toBe(der)
+  }
+)
+
+test(
+  'Signature converts DER to raw',
+  async () => {
+    expect(x(Signature.derToRaw(h(der)))).toBe(raw)
+  }
+)
+
+test(
+  'Signature rejects malformed DER',
+  async () => {
+    const r = '0201' + '01'
+    const s = '0201' + '02'
+    expect(x(Signature.derToRaw(h('3006' + r + s)))).toBe(
+      '00'.repeat(31) + '01' + '00'.repeat(31) + '02'
+    )
+    // Trailing bytes.
+    expect(() => Signature.derToRaw(h('3006' + r + s + '00'))).toThrow()
+    // Non-minimal integer.
+    expect(() => Signature.derToRaw(h('3007' + '020200' + '01' + s))).toThrow()
+    // Negative integer.
+    expect(() => Signature.derToRaw(h('3006' + '020181' + s))).toThrow()
+    // Zero.
+    expect(() => Signature.derToRaw(h('3006' + '020100' + s))).toThrow()
+    // Too large integer.
+    expect(() => Signature.derToRaw(h('3026' + '022101' + '00'.repeat(32) + s)))
+      .toThrow()
+    // Wrong number of elements.
+    expect(() => Signature.derToRaw(h('3003' + r))).toThrow()
+    // Non-minimal length.
+    expect(() => Signature.derToRaw(h('308106' + r + s))).toThrow()
+  }
+)
+
+test(
+  'Signature encodes and decodes JOSE',
+  async () => {
+    const jose = Signature.encode(h(raw), 'jose')
+    expect(jose).toMatch(/^[A-Za-z0-9_-]{86}$/)
+    expect(x(Signature.decode(jose, 'jose'))).toBe(raw)
+    expect(() => Signature.decode(jose + '=', 'jose')).toThrow()
+    expect(() => Signature.decode(h(raw), 'other')).toThrow()
+    expect(() => Signature.decode(h(raw + '00'), 'raw')).toThrow()
+  }
+)
+
+test(
+  'Signature normalizes high S',
+  async () => {
+    const n = 'ffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551'
+    const halfN = '7fffffff800000007fffffffffffffffde737d56d38bcf4279dce5617e3192a8'
+    const r = '11'.repeat(32)
+    expect(Signature.isLowS(h(r + halfN))).toBe(true)
+    expect(Signature.isLowS(h(r + 'ff'.repeat(32)))).toBe(false)
+    // n - (n - 1) = 1
+    const high = r + n.slice(0, -2) + '50'
+    expect(Signature.isLowS(h(high))).toBe(false)
+    expect(x(Signature.normalizeS(h(high)))).toBe(r + '00'.repeat(31) + '01')
+    expect(x(Signature.normalizeS(h(r + halfN)))).toBe(r + halfN)
+  }
+)
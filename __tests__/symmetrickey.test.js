@@ -0,0 +1,113 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+const crypto = await import('../src/crypto.js')
+
+const SymmetricKey = crypto.SymmetricKey
+
+let key = null
+
+beforeEach(async () => {
+  key = await SymmetricKey.fromRandom()
+})
+
+test(
+  'SymmetricKey can be exported and imported back as raw',
+  async () => {
+    const raw = await key.toRaw()
+    expect(raw.byteLength).toBe(32)
+    const imported = await SymmetricKey.fromRaw(raw)
+    expect(new Uint8Array(await imported.toRaw())).toEqual(new Uint8Array(raw))
+    expect(imported.algorithm()).toBe('AES-GCM')
+    expect(await imported.equals(key)).toBe(true)
+  }
+)
+
+test(
+  'SymmetricKey can be exported and imported back as base64 and hex',
+  async () => {
+    expect(await (await SymmetricKey.fromBase64(await key.toBase64()))
+      .equals(key)).toBe(true)
+    const hex = await key.toHex()
+    expect(hex).toMatch(/^[0-9a-f]{64}$/)
+    expect(await (await SymmetricKey.fromHex(hex)).equals(key)).toBe(true)
+    const hmac = await SymmetricKey.fromHex(hex, 'HMAC')
+    expect(hmac.algorithm()).toBe('HMAC')
+    expect(await hmac.equals(key)).toBe(false)
+  }
+)
+
+test(
+  'SymmetricKey can be exported and imported back as jwk',
+  async () => {
+    const jwk = await key.toJwk({ kid: 'session', use: 'enc' })
+    expect(jwk.kty).toBe('oct')
+    expect(jwk.alg).toBe('A256GCM')
+    expect(jwk.kid).toBe('session')
+    const imported = await SymmetricKey.fromJwk(jwk)
+    expect(await imported.equals(key)).toBe(true)
+    expect(imported.metadata()).toEqual({ kid: 'session', use: 'enc' })
+    const hmac = await SymmetricKey.fromRandom('HMAC', {
+      hash: 'SHA-384',
+      length: 48
+    })
+    const hmacJwk = await hmac.toJwk()
+    expect(hmacJwk.alg).toBe('HS384')
+    const hmacImported = await SymmetricKey.fromJwk(hmacJwk)
+    expect(hmacImported.key().algorithm.hash.name).toBe('SHA-384')
+    expect(await hmacImported.equals(hmac)).toBe(true)
+    const { alg, ...noAlg } = jwk
+    expect((await SymmetricKey.fromJwk(noAlg, 'AES-KW')).algorithm())
+      .toBe('AES-KW')
+  }
+)
+
+test(
+  'SymmetricKey rejects malformed jwk',
+  async () => {
+    const jwk = await key.toJwk()
+    await expect(SymmetricKey.fromJwk({ ...jwk, kty: 'EC' })).rejects.toThrow('kty')
+    await expect(SymmetricKey.fromJwk({ ...jwk, k: 'a+b' })).rejects.toThrow('k')
+    await expect(SymmetricKey.fromJwk({ ...jwk, alg: 'A128GCM' })).rejects
+      .toThrow('alg')
+    await expect(SymmetricKey.fromJwk({ ...jwk, alg: 'RS256' })).rejects
+      .toThrow('alg')
+    await expect(SymmetricKey.fromJwk({ ...jwk, use: 'wrap' })).rejects
+      .toThrow('use')
+    await expect(SymmetricKey.fromRaw(new Uint8Array(20))).rejects.toThrow()
+  }
+)
+
+test(
+  'SymmetricKey has RFC 7638 thumbprint',
+  async () => {
+    // RFC 7638 canonical form of oct keys is {"k":...,"kty":"oct"}.
+    const imported = await SymmetricKey.fromJwk({
+      kty: 'oct',
+      k: 'AAAAAAAAAAAAAAAAAAAAAA',
+      alg: 'A128GCM'
+    })
+    const digest = await globalThis.crypto.subtle.digest(
+      'SHA-256',
+      (new TextEncoder()).encode('{"k":"AAAAAAAAAAAAAAAAAAAAAA","kty":"oct"}')
+    )
+    expect(await imported.thumbprint())
+      .toBe(crypto.Convert.arrayBufferToUrlBase64(digest))
+  }
+)
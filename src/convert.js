@@ -33,7 +33,7 @@ class Convert {
     return str
       .replaceAll('/', '_')
       .replaceAll('+', '-')
-      .replace('=', '')
+      .replace(/=+$/, '')
   }
 
   /**
@@ -124,6 +124,27 @@ class Convert {
       ''
     )
   }
+
+  /**
+   * @public
+   * @static
+   * @description Concatenate binary data.
+   * @param {...(ArrayBuffer|ArrayBufferView)} parts Data to be concatenated.
+   * @returns {ArrayBuffer} Concatenation of parts.
+   */
+  static concat (...parts) {
+    const views = parts.map(part => ArrayBuffer.isView(part)
+      ? new Uint8Array(part.buffer, part.byteOffset, part.byteLength)
+      : new Uint8Array(part))
+    const result = new Uint8Array(
+      views.reduce((length, view) => length + view.length, 0)
+    )
+    views.reduce((offset, view) => {
+      result.set(view, offset)
+      return offset + view.length
+    }, 0)
+    return result.buffer
+  }
 }
 
 export {
@@ -20,41 +20,119 @@
 import {
   Convert
 } from './convert.js'
+import {
+  Der
+} from './der.js'
+import {
+  Ecdsa
+} from './ecdsa.js'
+import {
+  Envelope
+} from './envelope.js'
+import {
+  Jwk
+} from './jwk.js'
+import {
+  JwkSet
+} from './jwkset.js'
+import {
+  Kdf
+} from './kdf.js'
 import {
   KeyPair
 } from './keypair.js'
+import {
+  Pbes2
+} from './pbes2.js'
+import {
+  Pem
+} from './pem.js'
 import {
   PrivKey
 } from './privkey.js'
 import {
   PubKey
 } from './pubkey.js'
+import {
+  Sha2
+} from './sha2.js'
+import {
+  Signature
+} from './signature.js'
+import {
+  SymmetricKey
+} from './symmetrickey.js'
 
 /**
  * @classdesc Crypto class provides sign, verify, encrypt, decrypt
  * cryptographic operations for KeyPair, PrivKey and PubKey.
  */
 class Crypto {
+  /**
+   * @private
+   * @static
+   * @description Build AES-GCM parameters. additionalData is left out
+   * entirely when absent, so ciphertexts stay identical to those of
+   * java_crypto and swift_crypto.
+   * @param {ArrayBuffer} iv Initial vector.
+   * @param {ArrayBuffer} [additionalData=null] Additional authenticated data.
+   * @returns {Object} AES-GCM parameters for crypto.subtle.
+   */
+  static gcmParams (iv, additionalData = null) {
+    const params = {
+      name: 'AES-GCM',
+      iv
+    }
+    if (additionalData !== null && additionalData !== undefined) {
+      params.additionalData = additionalData
+    }
+    return params
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Obtain crypto.subtle key of AES-GCM SymmetricKey.
+   * @param {SymmetricKey} key SymmetricKey.
+   * @returns {CryptoKey} AES-GCM key.
+   */
+  static aesGcmKey (key) {
+    if (key.algorithm() !== 'AES-GCM') {
+      throw new Error(`SymmetricKey must be AES-GCM, not ${key.algorithm()}`)
+    }
+    return key.key()
+  }
+
   /**
    * @public
    * @static
    * @async
    * @description Encrypt given data with derived secret key of Alice and Bob.
-   * @param {PrivKey|KeyPair} alicePriv PrivKey or KeyPair of a person doing encryption.
-   * @param {PubKey|KeyPair} bobPriv PubKey of a person for whom the encryption is
-   * happening.
+   * Use encryptSymmetric with SymmetricKey.
+   * @param {PrivKey|KeyPair} alicePriv PrivKey or KeyPair of a person doing
+   * encryption.
+   * @param {PubKey|KeyPair} bobPub PubKey of a person for whom the encryption
+   * is happening.
    * @param {ArrayBuffer} dataArray Data to be encrypted.
    * @param {ArrayBuffer} [iv=null] Initial vector for encryption. Will be
    * generated randomly if not provided.
+   * @param {ArrayBuffer} [additionalData=null] Data to be authenticated but
+   * not encrypted (e.g. message headers). The same data must be passed to
+   * decrypt.
    * @returns {Object} Object containing iv and encryptedData.
    */
-  static async encrypt (alicePriv, bobPub, dataArray, iv = null) {
+  static async encrypt (
+    alicePriv,
+    bobPub,
+    dataArray,
+    iv = null,
+    additionalData = null
+  ) {
+    if (alicePriv instanceof SymmetricKey) {
+      throw new Error('Use encryptSymmetric to encrypt with SymmetricKey')
+    }
     if (alicePriv instanceof KeyPair) { alicePriv = alicePriv.priv() }
     if (bobPub instanceof KeyPair) { bobPub = bobPub.pub() }
-    if (!iv) {
-      iv = new Uint8Array(16)
-      crypto.getRandomValues(iv)
-    }
     const secretKey = await crypto.subtle.deriveKey(
       {
         name: 'ECDH',
@@ -70,19 +148,119 @@ class Crypto {
         'encrypt'
       ]
     )
+    return this.encryptGcm(secretKey, dataArray, iv, additionalData)
+  }
+
+  /**
+   * @public
+   * @static
+   * @async
+   * @description Encrypt given data with AES-GCM SymmetricKey, e.g. derived
+   * with deriveSymmetricKey. The iv is always generated randomly.
+   * @param {SymmetricKey} key AES-GCM SymmetricKey.
+   * @param {ArrayBuffer} dataArray Data to be encrypted.
+   * @param {ArrayBuffer} [additionalData=null] Data to be authenticated but
+   * not encrypted. The same data must be passed to decryptSymmetric.
+   * @returns {Object} Object containing iv and encryptedData.
+   */
+  static async encryptSymmetric (key, dataArray, additionalData = null) {
+    return this.encryptGcm(this.aesGcmKey(key), dataArray, null, additionalData)
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Encrypt data with AES-GCM crypto.subtle key.
+   * @param {CryptoKey} key AES-GCM key.
+   * @param {ArrayBuffer} dataArray Data to be encrypted.
+   * @param {ArrayBuffer} [iv] Initial vector, 16 random bytes if not given.
+   * @param {ArrayBuffer} [additionalData] Data to be authenticated.
+   * @returns {Object} Object containing iv and encryptedData.
+   */
+  static async encryptGcm (key, dataArray, iv, additionalData) {
+    if (!iv) {
+      iv = new Uint8Array(16)
+      crypto.getRandomValues(iv)
+    }
     return {
       iv,
       encryptedData: await crypto.subtle.encrypt(
-        {
-          name: 'AES-GCM',
-          iv
-        },
-        secretKey,
+        this.gcmParams(iv, additionalData),
+        key,
         dataArray
       )
     }
   }
 
+  /**
+   * @private
+   * @static
+   * @description Make sure the hash is supported for ECDSA.
+   * @param {string} hash Hash name.
+   */
+  static checkHash (hash) {
+    if (!Ecdsa.hashLengths[hash]) {
+      throw new Error(`Unsupported hash ${hash}`)
+    }
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Make sure the digest is long enough for P-256.
+   * @param {ArrayBuffer} digestArray Message digest.
+   * @returns {Uint8Array} Digest bytes.
+   */
+  static checkDigest (digestArray) {
+    const digest = Der.bytes(digestArray)
+    if (digest.length < Ecdsa.length) {
+      throw new Error('Digest must be at least 32 bytes long')
+    }
+    return digest
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Decode signature for verification.
+   * @param {ArrayBuffer|string} signatureArray Encoded signature.
+   * @param {string} encoding Signature encoding.
+   * @param {bool} strict Reject high-S signatures.
+   * @returns {ArrayBuffer} 64 bytes of r||s or null if the signature is
+   * malformed or rejected.
+   */
+  static decodeSignature (signatureArray, encoding, strict) {
+    Signature.checkEncoding(encoding)
+    let raw
+    try {
+      raw = Signature.decode(signatureArray, encoding)
+    } catch (e) {
+      return null
+    }
+    return strict && !Signature.isLowS(raw) ? null : raw
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Apply low-S normalization and encoding to raw signature.
+   * @param {ArrayBuffer} raw 64 bytes of r||s.
+   * @param {number} recoveryId Recovery id or undefined.
+   * @param {Object} options Signing options (see sign).
+   * @returns {ArrayBuffer|string|Object} Encoded signature.
+   */
+  static encodeSignature (raw, recoveryId, options) {
+    const { encoding = 'raw', lowS = false, recoverable = false } = options
+    if (lowS && !Signature.isLowS(raw)) {
+      raw = Signature.normalizeS(raw)
+      // n - s corresponds to -R, whose y has the opposite parity.
+      if (recoverable) { recoveryId ^= 1 }
+    }
+    const signature = Signature.encode(raw, encoding)
+    return recoverable ? { signature, recoveryId } : signature
+  }
+
   /**
    * @static
    * @public
@@ -91,22 +269,146 @@ class Crypto {
    * @param {PubKey|KeyPair} PubKey or KeyPair of a person who has signed the
    * data.
    * @param {ArrayBuffer} dataArray ArrayBuffer of data that has been signed.
-   * @param {ArrayBuffer} signatureArray ArrayBuffer containing signature.
+   * @param {ArrayBuffer|string} signatureArray ArrayBuffer containing
+   * signature (string for 'jose' encoding).
+   * @param {Object} [options] Verification options.
+   * @param {string} [options.hash='SHA-256'] Hash: 'SHA-256', 'SHA-384' or
+   * 'SHA-512'.
+   * @param {string} [options.encoding='raw'] Signature encoding: 'raw' (r||s),
+   * 'der' or 'jose'. Malformed signatures are reported as not verified.
+   * @param {bool} [options.strict=false] Reject high-S signatures (s > n / 2).
    * @returns {bool} Boolean verification result.
    */
-  static async verify (pub, dataArray, signatureArray) {
+  static async verify (pub, dataArray, signatureArray, options = {}) {
     if (pub instanceof KeyPair) { pub = pub.pub() }
+    const { hash = 'SHA-256', encoding = 'raw', strict = false } = options
+    this.checkHash(hash)
+    const raw = this.decodeSignature(signatureArray, encoding, strict)
+    if (!raw) { return false }
     return crypto.subtle.verify(
       {
         name: 'ECDSA',
-        hash: 'SHA-256'
+        hash
       },
       pub.ecdsa(),
-      signatureArray,
+      raw,
       dataArray
     )
   }
 
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Verify signature of a digest computed elsewhere. Digests
+   * longer than 32 bytes are truncated as ECDSA prescribes.
+   * @param {PubKey|KeyPair} PubKey or KeyPair of a person who has signed the
+   * digest.
+   * @param {ArrayBuffer} digestArray Digest, at least 32 bytes long.
+   * @param {ArrayBuffer|string} signatureArray ArrayBuffer containing
+   * signature (string for 'jose' encoding).
+   * @param {Object} [options] Verification options.
+   * @param {string} [options.encoding='raw'] Signature encoding: 'raw' (r||s),
+   * 'der' or 'jose'. Malformed signatures are reported as not verified.
+   * @param {bool} [options.strict=false] Reject high-S signatures (s > n / 2).
+   * @returns {bool} Boolean verification result.
+   */
+  static async verifyDigest (pub, digestArray, signatureArray, options = {}) {
+    if (pub instanceof KeyPair) { pub = pub.pub() }
+    const { encoding = 'raw', strict = false } = options
+    const digest = this.checkDigest(digestArray)
+    const raw = this.decodeSignature(signatureArray, encoding, strict)
+    if (!raw) { return false }
+    return Ecdsa.verify(new Uint8Array(await pub.toRaw()), digest, raw)
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Obtain PubKey for batch verification, importing serialized
+   * keys once per batch.
+   * @param {PubKey|KeyPair|ArrayBuffer|Object} pub PubKey, KeyPair, raw
+   * (33 or 65 bytes) or SPKI bytes, or public JWK.
+   * @param {Map} cache Imported keys of the batch.
+   * @returns {PubKey} PubKey.
+   */
+  static async batchKey (pub, cache) {
+    if (pub instanceof KeyPair) { return pub.pub() }
+    if (pub instanceof PubKey) { return pub }
+    let id
+    let load
+    if (pub instanceof ArrayBuffer || ArrayBuffer.isView(pub)) {
+      const bytes = Der.bytes(pub).slice()
+      id = Convert.arrayBufferToHexString(bytes)
+      load = bytes.length === 33 || bytes.length === 65
+        ? () => PubKey.fromRaw(bytes.buffer)
+        : () => PubKey.fromSpki(bytes.buffer)
+    } else if (pub && typeof pub === 'object') {
+      id = `${pub.crv}:${pub.x}:${pub.y}`
+      load = () => PubKey.fromJwk(pub)
+    } else {
+      throw new Error('Unsupported public key')
+    }
+    if (!cache.has(id)) { cache.set(id, load()) }
+    return cache.get(id)
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Verify many signatures. Up to concurrency items are being
+   * verified at a time and serialized public keys that repeat are imported
+   * only once.
+   * @param {Array|Iterable|AsyncIterable} items Items to be verified: arrays
+   * [pub, data, signature] or objects { pub, data, signature }. pub may be
+   * PubKey, KeyPair, raw or SPKI bytes, or public JWK.
+   * @param {Object} [options] Verification options (see verify).
+   * @param {number} [options.concurrency=16] Maximal number of items being
+   * verified simultaneously.
+   * @returns {bool[]} Verification results in the order of items. Items
+   * that can not be verified (e.g. malformed keys) are reported as false.
+   */
+  static async verifyBatch (items, options = {}) {
+    const { concurrency = 16, ...verifyOptions } = options
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error('Concurrency must be a positive integer')
+    }
+    const { hash = 'SHA-256', encoding = 'raw' } = verifyOptions
+    this.checkHash(hash)
+    Signature.checkEncoding(encoding)
+    async function * numbered () {
+      let index = 0
+      for await (const item of items) { yield [index++, item] }
+    }
+    const iterator = numbered()
+    const cache = new Map()
+    const results = []
+    const worker = async () => {
+      for (;;) {
+        const { done, value } = await iterator.next()
+        if (done) { return }
+        const [index, item] = value
+        const [pub, data, signature] = Array.isArray(item)
+          ? item
+          : [item.pub, item.data, item.signature]
+        try {
+          results[index] = await this.verify(
+            await this.batchKey(pub, cache),
+            data,
+            signature,
+            verifyOptions
+          )
+        } catch (e) {
+          results[index] = false
+        }
+      }
+    }
+    await Promise.all(Array.from({ length: concurrency }, worker))
+    return results
+  }
+
   /**
    * @static
    * @public
@@ -114,18 +416,197 @@ class Crypto {
    * @description Sign data.
    * @param {PrivKey|KeyPair} PrivKey or KeyPair to sign.
    * @param {ArrayBuffer} dataArray ArrayBuffer of data to be signed.
-   * @returns {ArrayBuffer} ArrayBuffer that contains signature.
+   * @param {Object} [options] Signing options.
+   * @param {string} [options.hash='SHA-256'] Hash: 'SHA-256', 'SHA-384' or
+   * 'SHA-512'.
+   * @param {string} [options.encoding='raw'] Signature encoding: 'raw' (r||s),
+   * 'der' or 'jose'.
+   * @param {bool} [options.lowS=false] Normalize signature to low S
+   * (s <= n / 2), so that it passes strict verification.
+   * @param {bool} [options.deterministic=false] Compute nonce per RFC 6979
+   * (HMAC with the chosen hash) and sign in software, so that the same key
+   * and data always give the same signature.
+   * @param {bool} [options.recoverable=false] Also return recovery id of the
+   * signature (see recoverPublicKeys). Requires deterministic signing.
+   * @returns {ArrayBuffer|string|Object} ArrayBuffer that contains signature
+   * (string for 'jose' encoding). Object with signature and recoveryId if
+   * recoverable is set.
    */
-  static async sign (priv, dataArray) {
+  static async sign (priv, dataArray, options = {}) {
     if (priv instanceof KeyPair) { priv = priv.priv() }
-    return crypto.subtle.sign(
+    const {
+      hash = 'SHA-256',
+      encoding = 'raw',
+      deterministic = false,
+      recoverable = false
+    } = options
+    this.checkHash(hash)
+    Signature.checkEncoding(encoding)
+    if (deterministic) {
+      return this.signDigest(
+        priv,
+        await crypto.subtle.digest(hash, dataArray),
+        options
+      )
+    }
+    if (recoverable) {
+      throw new Error('Recovery id is only available for deterministic signatures')
+    }
+    const raw = await crypto.subtle.sign(
       {
         name: 'ECDSA',
-        hash: 'SHA-256'
+        hash
       },
       priv.ecdsa(),
       dataArray
     )
+    return this.encodeSignature(raw, undefined, options)
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Sign a digest computed elsewhere. Digests longer than 32
+   * bytes are truncated as ECDSA prescribes. Signing is done in software with
+   * RFC 6979 nonces, so signatures are deterministic.
+   * @param {PrivKey|KeyPair} PrivKey or KeyPair to sign.
+   * @param {ArrayBuffer} digestArray Digest, at least 32 bytes long.
+   * @param {Object} [options] Signing options (see sign).
+   * @param {string} [options.hash] Hash that produced the digest, used for
+   * RFC 6979 HMAC. Guessed from the digest length if omitted.
+   * @returns {ArrayBuffer|string|Object} ArrayBuffer that contains signature
+   * (string for 'jose' encoding). Object with signature and recoveryId if
+   * recoverable is set.
+   */
+  static async signDigest (priv, digestArray, options = {}) {
+    if (priv instanceof KeyPair) { priv = priv.priv() }
+    const digest = this.checkDigest(digestArray)
+    const {
+      hash = Object.keys(Ecdsa.hashLengths)
+        .find(name => Ecdsa.hashLengths[name] === digest.length) || 'SHA-256',
+      encoding = 'raw'
+    } = options
+    this.checkHash(hash)
+    Signature.checkEncoding(encoding)
+    const { signature, recoveryId } = await Ecdsa.sign(
+      await priv.toD(),
+      digest,
+      hash
+    )
+    return this.encodeSignature(signature, recoveryId, options)
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Hash stream incrementally.
+   * @param {ReadableStream|AsyncIterable|Iterable} stream Source of chunks
+   * (ArrayBuffer, typed arrays, Node Buffers or strings, encoded as UTF-8).
+   * Node streams are async iterable.
+   * @param {string} hash Hash name.
+   * @returns {ArrayBuffer} Digest.
+   */
+  static async hashStream (stream, hash) {
+    const hasher = new Sha2(hash)
+    const update = chunk => hasher.update(
+      typeof chunk === 'string' ? (new TextEncoder()).encode(chunk) : chunk
+    )
+    if (stream && typeof stream.getReader === 'function') {
+      const reader = stream.getReader()
+      try {
+        for (;;) {
+          const { done, value } = await reader.read()
+          if (done) { break }
+          update(value)
+        }
+      } finally {
+        reader.releaseLock()
+      }
+    } else if (stream &&
+        (stream[Symbol.asyncIterator] || stream[Symbol.iterator])) {
+      for await (const chunk of stream) { update(chunk) }
+    } else {
+      throw new Error('Stream must be a ReadableStream or an (async) iterable')
+    }
+    return hasher.digest()
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Sign stream without holding it in memory: data is hashed
+   * incrementally and the digest is signed with signDigest (deterministic).
+   * @param {PrivKey|KeyPair} PrivKey or KeyPair to sign.
+   * @param {ReadableStream|AsyncIterable|Iterable} stream Data to be signed:
+   * WHATWG ReadableStream, Node stream or any (async) iterable of chunks.
+   * @param {Object} [options] Signing options (see sign).
+   * @returns {ArrayBuffer|string|Object} Signature as returned by sign.
+   */
+  static async signStream (priv, stream, options = {}) {
+    const { hash = 'SHA-256' } = options
+    this.checkHash(hash)
+    return this.signDigest(
+      priv,
+      await this.hashStream(stream, hash),
+      { ...options, hash }
+    )
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Verify signature of stream without holding it in memory.
+   * @param {PubKey|KeyPair} PubKey or KeyPair of a person who has signed the
+   * data.
+   * @param {ReadableStream|AsyncIterable|Iterable} stream Signed data:
+   * WHATWG ReadableStream, Node stream or any (async) iterable of chunks.
+   * @param {ArrayBuffer|string} signatureArray ArrayBuffer containing
+   * signature (string for 'jose' encoding).
+   * @param {Object} [options] Verification options (see verify).
+   * @returns {bool} Boolean verification result.
+   */
+  static async verifyStream (pub, stream, signatureArray, options = {}) {
+    const { hash = 'SHA-256' } = options
+    this.checkHash(hash)
+    return this.verifyDigest(
+      pub,
+      await this.hashStream(stream, hash),
+      signatureArray,
+      options
+    )
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Recover candidate public keys of the signer from data and
+   * signature. Each candidate verifies the signature, so the right one has to
+   * be picked by other means (e.g. known key ids) unless recoveryId is given.
+   * @param {ArrayBuffer} dataArray ArrayBuffer of data that has been signed.
+   * @param {ArrayBuffer|string} signatureArray ArrayBuffer containing
+   * signature (string for 'jose' encoding).
+   * @param {Object} [options] Recovery options.
+   * @param {string} [options.hash='SHA-256'] Hash: 'SHA-256', 'SHA-384' or
+   * 'SHA-512'.
+   * @param {string} [options.encoding='raw'] Signature encoding: 'raw' (r||s),
+   * 'der' or 'jose'.
+   * @param {number} [options.recoveryId] Recovery id returned by sign.
+   * @returns {PubKey[]} Candidate public keys (at most one with recoveryId).
+   */
+  static async recoverPublicKeys (dataArray, signatureArray, options = {}) {
+    const { hash = 'SHA-256', encoding = 'raw', recoveryId } = options
+    this.checkHash(hash)
+    const candidates = Ecdsa.recover(
+      await crypto.subtle.digest(hash, dataArray),
+      Signature.decode(signatureArray, encoding),
+      recoveryId
+    )
+    return Promise.all(candidates.map(c => PubKey.fromRaw(c.pub.buffer)))
   }
 
   /**
@@ -133,14 +614,21 @@ class Crypto {
    * @public
    * @async
    * @description Decrypt the data with derived secret of Alice and Bob.
-   * @param {PubKey|KeyPair} PubKey alicePub of a person who has done the encryption.
+   * Use decryptSymmetric with SymmetricKey.
+   * @param {PubKey|KeyPair} alicePub PubKey of a person who has done the
+   * encryption.
    * @param {PrivKey|KeyPair} bobPriv PrivKey or KeyPair of a person for whom
    * the encryption is done.
    * @param {ArrayBuffer} dataArray ArrayBuffer with encrypted data.
    * @param {ArrayBuffer} iv Initial vector used for encryption.
+   * @param {ArrayBuffer} [additionalData=null] Additional data passed to
+   * encrypt.
    * @returns {ArrayBuffer} Decryption result.
    */
-  static async decrypt (alicePub, bobPriv, dataArray, iv) {
+  static async decrypt (alicePub, bobPriv, dataArray, iv, additionalData = null) {
+    if (alicePub instanceof SymmetricKey) {
+      throw new Error('Use decryptSymmetric to decrypt with SymmetricKey')
+    }
     if (bobPriv instanceof KeyPair) { bobPriv = bobPriv.priv() }
     if (alicePub instanceof KeyPair) { alicePub = alicePub.pub() }
     const secretKey = await crypto.subtle.deriveKey(
@@ -159,20 +647,905 @@ class Crypto {
       ]
     )
     return crypto.subtle.decrypt(
+      this.gcmParams(iv, additionalData),
+      secretKey,
+      dataArray
+    )
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Decrypt the data encrypted with encryptSymmetric.
+   * @param {SymmetricKey} key AES-GCM SymmetricKey used for encryption.
+   * @param {ArrayBuffer} dataArray ArrayBuffer with encrypted data.
+   * @param {ArrayBuffer} iv Initial vector returned by encryptSymmetric.
+   * @param {ArrayBuffer} [additionalData=null] Additional data passed to
+   * encryptSymmetric.
+   * @returns {ArrayBuffer} Decryption result.
+   */
+  static async decryptSymmetric (key, dataArray, iv, additionalData = null) {
+    return crypto.subtle.decrypt(
+      this.gcmParams(iv, additionalData),
+      this.aesGcmKey(key),
+      dataArray
+    )
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Compute HMAC of data.
+   * @param {SymmetricKey} key HMAC SymmetricKey.
+   * @param {ArrayBuffer} dataArray Data to be authenticated.
+   * @returns {ArrayBuffer} MAC.
+   */
+  static async mac (key, dataArray) {
+    return crypto.subtle.sign('HMAC', this.hmacKey(key), dataArray)
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Verify HMAC of data in constant time.
+   * @param {SymmetricKey} key HMAC SymmetricKey.
+   * @param {ArrayBuffer} dataArray Authenticated data.
+   * @param {ArrayBuffer} macArray MAC computed by mac.
+   * @returns {bool} Boolean verification result.
+   */
+  static async verifyMac (key, dataArray, macArray) {
+    return crypto.subtle.verify('HMAC', this.hmacKey(key), macArray, dataArray)
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Obtain crypto.subtle key of HMAC SymmetricKey.
+   * @param {SymmetricKey} key SymmetricKey.
+   * @returns {CryptoKey} HMAC key.
+   */
+  static hmacKey (key) {
+    if (!(key instanceof SymmetricKey) || key.algorithm() !== 'HMAC') {
+      throw new Error('MAC key must be HMAC SymmetricKey')
+    }
+    return key.key()
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Compute raw ECDH shared secret (x coordinate of the shared
+   * point). It is not uniformly random and must be passed through a KDF (see
+   * deriveSymmetricKey and Kdf) before use as a key.
+   * @param {PrivKey|KeyPair} priv PrivKey or KeyPair of one party.
+   * @param {PubKey|KeyPair} pub PubKey of the other party.
+   * @returns {ArrayBuffer} 32 bytes shared secret.
+   */
+  static async deriveSharedSecret (priv, pub) {
+    if (priv instanceof KeyPair) { priv = priv.priv() }
+    if (pub instanceof KeyPair) { pub = pub.pub() }
+    return crypto.subtle.deriveBits(
+      {
+        name: 'ECDH',
+        public: pub.ecdh()
+      },
+      priv.ecdh(),
+      256
+    )
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Derive symmetric key from ECDH shared secret with HKDF,
+   * ANSI X9.63 or ConcatKDF. Equivalent to CryptoKit
+   * SharedSecret.hkdfDerivedSymmetricKey and x963DerivedSymmetricKey.
+   * @param {PrivKey|KeyPair} priv PrivKey or KeyPair of one party.
+   * @param {PubKey|KeyPair} pub PubKey of the other party.
+   * @param {Object} [options] Derivation options.
+   * @param {string} [options.kdf='HKDF'] 'HKDF', 'X9.63' or 'ConcatKDF'.
+   * @param {string} [options.hash='SHA-256'] KDF hash, also used by HMAC.
+   * @param {ArrayBuffer} [options.salt] HKDF salt.
+   * @param {ArrayBuffer} [options.info] HKDF info, X9.63 SharedInfo or
+   * ConcatKDF OtherInfo.
+   * @param {number} [options.length=32] Number of bytes to derive.
+   * @param {string} [options.algorithm='raw'] 'raw' for key material or
+   * 'AES-GCM', 'AES-CBC', 'AES-CTR', 'AES-KW', 'HMAC' for SymmetricKey.
+   * @returns {ArrayBuffer|SymmetricKey} Derived key material or key.
+   */
+  static async deriveSymmetricKey (priv, pub, options = {}) {
+    const {
+      kdf = 'HKDF',
+      hash = 'SHA-256',
+      salt = new ArrayBuffer(0),
+      info = new ArrayBuffer(0),
+      length = 32,
+      algorithm = 'raw'
+    } = options
+    const secret = await this.deriveSharedSecret(priv, pub)
+    let material
+    switch (kdf) {
+      case 'HKDF':
+        material = await Kdf.hkdf(secret, salt, info, length, hash)
+        break
+      case 'X9.63':
+        material = await Kdf.x963(secret, info, length, hash)
+        break
+      case 'ConcatKDF':
+        material = await Kdf.concatKdf(secret, info, length, hash)
+        break
+      default:
+        throw new Error(`Unsupported KDF ${kdf}`)
+    }
+    return algorithm === 'raw'
+      ? material
+      : SymmetricKey.fromRaw(material, algorithm, { hash })
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Encrypt data like encrypt does and pack the result into a
+   * versioned envelope (see Envelope) that also names the algorithm and the
+   * sender.
+   * @param {PrivKey|KeyPair} alicePriv PrivKey or KeyPair of a person doing
+   * encryption.
+   * @param {PubKey|KeyPair} bobPub PubKey of a person for whom the encryption
+   * is happening.
+   * @param {ArrayBuffer} dataArray Data to be encrypted.
+   * @param {Object} [options] Envelope options.
+   * @param {string} [options.format='binary'] 'binary' (ArrayBuffer) or
+   * 'json' (string with base64url members).
+   * @param {string} [options.sender='kid'] How the sender is identified:
+   * 'kid' (RFC 7638 thumbprint unless options.kid is given), 'spki' (whole
+   * public key) or 'none'.
+   * @param {string} [options.kid] Explicit sender key id.
+   * @param {ArrayBuffer} [options.additionalData] Additional authenticated
+   * data carried in the envelope in clear.
+   * @returns {ArrayBuffer|string} Envelope.
+   */
+  static async encryptToEnvelope (alicePriv, bobPub, dataArray, options = {}) {
+    if (alicePriv instanceof KeyPair) { alicePriv = alicePriv.priv() }
+    const { format = 'binary', sender = 'kid', additionalData } = options
+    if (format !== 'binary' && format !== 'json') {
+      throw new Error(`Unsupported envelope format ${format}`)
+    }
+    const envelope = {
+      version: Envelope.version,
+      alg: Envelope.algorithms.direct,
+      iv: crypto.getRandomValues(new Uint8Array(16))
+    }
+    switch (sender) {
+      case 'kid':
+        envelope.kid = options.kid || await alicePriv.thumbprint()
+        break
+      case 'spki':
+        envelope.spki = new Uint8Array(
+          PrivKey.buildSpki(await alicePriv.publicRaw())
+        )
+        break
+      case 'none':
+        break
+      default:
+        throw new Error(`Unsupported envelope sender ${sender}`)
+    }
+    if (additionalData !== undefined && additionalData !== null) {
+      envelope.aad = Der.bytes(additionalData).slice()
+    }
+    const { encryptedData } = await this.encrypt(
+      alicePriv,
+      bobPub,
+      dataArray,
+      envelope.iv,
+      Envelope.header(envelope)
+    )
+    envelope.ciphertext = new Uint8Array(encryptedData)
+    return format === 'json'
+      ? Envelope.toJSON(envelope)
+      : Envelope.toBinary(envelope)
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Find sender PubKey of envelope.
+   * @param {Object} envelope Envelope object.
+   * @param {PubKey|KeyPair|Array} [senders] Trusted sender keys.
+   * @returns {PubKey} Sender PubKey.
+   */
+  static async envelopeSender (envelope, senders) {
+    const trusted = [].concat(senders === undefined ? [] : senders)
+      .map(key => key instanceof KeyPair ? key.pub() : key)
+    if (envelope.spki !== undefined) {
+      const key = await PubKey.fromSpki(envelope.spki.buffer)
+      if (trusted.length === 0) { return key }
+      for (const candidate of trusted) {
+        if (await candidate.equals(key)) { return candidate }
+      }
+    } else if (envelope.kid !== undefined) {
+      for (const candidate of trusted) {
+        if (candidate.metadata().kid === envelope.kid ||
+            await candidate.thumbprint() === envelope.kid) {
+          return candidate
+        }
+      }
+    } else if (trusted.length === 1) {
+      return trusted[0]
+    }
+    throw new Error('Sender of the envelope is unknown')
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Decrypt envelope produced by encryptToEnvelope or
+   * encryptToRecipients.
+   * @param {PrivKey|KeyPair} bobPriv PrivKey or KeyPair of a person for whom
+   * the encryption is done.
+   * @param {ArrayBuffer|string|Object} envelope Binary or JSON envelope.
+   * @param {Object} [options] Decryption options.
+   * @param {PubKey|KeyPair|Array} [options.senders] Trusted sender key(s) of
+   * encryptToEnvelope envelopes. Required unless the envelope carries
+   * sender's SPKI; matched by kid (metadata or thumbprint) or SPKI.
+   * @returns {Object} Object with data (ArrayBuffer), sender (PubKey) and kid
+   * (if present, encryptToEnvelope only) and additionalData (ArrayBuffer, if
+   * present).
+   */
+  static async decryptEnvelope (bobPriv, envelope, options = {}) {
+    envelope = Envelope.parse(envelope)
+    let result
+    switch (envelope.alg) {
+      case Envelope.algorithms.direct: {
+        const sender = await this.envelopeSender(envelope, options.senders)
+        result = {
+          data: await this.decrypt(
+            sender,
+            bobPriv,
+            envelope.ciphertext,
+            envelope.iv,
+            Envelope.header(envelope)
+          ),
+          sender
+        }
+        if (envelope.kid !== undefined) { result.kid = envelope.kid }
+        break
+      }
+      case Envelope.algorithms.recipients:
+        result = { data: await this.decryptAsRecipient(bobPriv, envelope) }
+        break
+      default:
+        throw new Error(`Unsupported envelope algorithm ${envelope.alg}`)
+    }
+    if (envelope.aad !== undefined) {
+      result.additionalData = envelope.aad.slice().buffer
+    }
+    return result
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Derive AES-KW key wrapping content key for a recipient.
+   * @param {PrivKey} priv Ephemeral or recipient PrivKey.
+   * @param {PubKey} pub Recipient or ephemeral PubKey.
+   * @param {ArrayBuffer} ephemeralRaw Uncompressed ephemeral public key.
+   * @param {ArrayBuffer} recipientRaw Uncompressed recipient public key.
+   * @param {string} usage 'wrapKey' or 'unwrapKey'.
+   * @returns {CryptoKey} AES-KW key.
+   */
+  static async recipientKey (priv, pub, ephemeralRaw, recipientRaw, usage) {
+    return crypto.subtle.importKey(
+      'raw',
+      await this.ephemeralSecret(
+        priv,
+        pub,
+        ephemeralRaw,
+        recipientRaw,
+        Envelope.algorithms.recipients,
+        32
+      ),
+      'AES-KW',
+      false,
+      [usage]
+    )
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Encrypt data once for several recipients. The data is
+   * encrypted under a random content key, which is wrapped for every
+   * recipient with a key derived from ECDH between a fresh ephemeral KeyPair
+   * and the recipient. The result is an envelope (see Envelope) any single
+   * recipient can open with decryptEnvelope.
+   * @param {PubKey|KeyPair|Array} recipients Recipient key(s).
+   * @param {ArrayBuffer} dataArray Data to be encrypted.
+   * @param {Object} [options] Envelope options.
+   * @param {string} [options.format='binary'] 'binary' (ArrayBuffer) or
+   * 'json' (string with base64url members).
+   * @param {bool} [options.hidden=false] Leave out recipient key ids, so the
+   * envelope does not reveal who it is addressed to. Recipients then try
+   * every wrapped key.
+   * @param {ArrayBuffer} [options.additionalData] Additional authenticated
+   * data carried in the envelope in clear.
+   * @returns {ArrayBuffer|string} Envelope.
+   */
+  static async encryptToRecipients (recipients, dataArray, options = {}) {
+    const { format = 'binary', hidden = false, additionalData } = options
+    if (format !== 'binary' && format !== 'json') {
+      throw new Error(`Unsupported envelope format ${format}`)
+    }
+    recipients = [].concat(recipients)
+      .map(key => key instanceof KeyPair ? key.pub() : key)
+    if (recipients.length === 0) {
+      throw new Error('At least one recipient is required')
+    }
+    const ephemeral = await KeyPair.fromRandom()
+    const ephemeralRaw = await ephemeral.pub().toRaw()
+    const contentKey = await crypto.subtle.generateKey(
       {
         name: 'AES-GCM',
-        iv
+        length: 256
       },
-      secretKey,
+      true,
+      ['encrypt']
+    )
+    const envelope = {
+      version: Envelope.version,
+      alg: Envelope.algorithms.recipients,
+      spki: new Uint8Array(PrivKey.buildSpki(new Uint8Array(ephemeralRaw))),
+      recipients: [],
+      iv: crypto.getRandomValues(new Uint8Array(16))
+    }
+    for (const pub of recipients) {
+      const kek = await this.recipientKey(
+        ephemeral.priv(),
+        pub,
+        ephemeralRaw,
+        await pub.toRaw(),
+        'wrapKey'
+      )
+      const recipient = {}
+      if (!hidden) {
+        recipient.kid = pub.metadata().kid || await pub.thumbprint()
+      }
+      recipient.key = new Uint8Array(
+        await crypto.subtle.wrapKey('raw', contentKey, kek, 'AES-KW')
+      )
+      envelope.recipients.push(recipient)
+    }
+    if (additionalData !== undefined && additionalData !== null) {
+      envelope.aad = Der.bytes(additionalData).slice()
+    }
+    envelope.ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+      this.gcmParams(envelope.iv, Envelope.header(envelope)),
+      contentKey,
+      dataArray
+    ))
+    return format === 'json'
+      ? Envelope.toJSON(envelope)
+      : Envelope.toBinary(envelope)
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Decrypt multi-recipient envelope.
+   * @param {PrivKey|KeyPair} priv PrivKey or KeyPair of a recipient.
+   * @param {Object} envelope Envelope object.
+   * @returns {ArrayBuffer} Decryption result.
+   */
+  static async decryptAsRecipient (priv, envelope) {
+    if (priv instanceof KeyPair) { priv = priv.priv() }
+    if (envelope.spki === undefined || envelope.recipients === undefined) {
+      throw new Error('Envelope must have ephemeral key and recipients')
+    }
+    const ephemeral = await PubKey.fromSpki(envelope.spki.buffer)
+    const kek = await this.recipientKey(
+      priv,
+      ephemeral,
+      await ephemeral.toRaw(),
+      await priv.publicRaw(),
+      'unwrapKey'
+    )
+    // Entries addressed to the key go first; the rest are still tried, as
+    // the sender may know the key under a kid this PrivKey does not carry.
+    const kids = [priv.metadata().kid, await priv.thumbprint()]
+    const addressed = r => r.kid === undefined || kids.includes(r.kid)
+    const candidates = [
+      ...envelope.recipients.filter(addressed),
+      ...envelope.recipients.filter(r => !addressed(r))
+    ]
+    for (const recipient of candidates) {
+      let contentKey
+      try {
+        contentKey = await crypto.subtle.unwrapKey(
+          'raw',
+          recipient.key,
+          kek,
+          'AES-KW',
+          'AES-GCM',
+          false,
+          ['decrypt']
+        )
+      } catch (e) {
+        continue
+      }
+      return crypto.subtle.decrypt(
+        this.gcmParams(envelope.iv, Envelope.header(envelope)),
+        contentKey,
+        envelope.ciphertext
+      )
+    }
+    throw new Error('Envelope is not addressed to this key')
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Derive key material from ephemeral-static ECDH:
+   * HKDF-SHA256(ECDH(ephemeral, recipient), salt = ephemeral || recipient,
+   * info).
+   * @param {PrivKey} priv Ephemeral or recipient PrivKey.
+   * @param {PubKey} pub Recipient or ephemeral PubKey.
+   * @param {ArrayBuffer} ephemeralRaw Uncompressed ephemeral public key.
+   * @param {ArrayBuffer} recipientRaw Uncompressed recipient public key.
+   * @param {string} info Context string.
+   * @param {number} length Number of bytes to derive.
+   * @returns {ArrayBuffer} Derived key material.
+   */
+  static async ephemeralSecret (
+    priv,
+    pub,
+    ephemeralRaw,
+    recipientRaw,
+    info,
+    length
+  ) {
+    const secret = await this.deriveSharedSecret(priv, pub)
+    return Kdf.hkdf(
+      secret,
+      Convert.concat(ephemeralRaw, recipientRaw),
+      (new TextEncoder()).encode(info),
+      length
+    )
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Derive AES-GCM key and iv of sealed data.
+   * @param {PrivKey} priv Ephemeral or recipient PrivKey.
+   * @param {PubKey} pub Recipient or ephemeral PubKey.
+   * @param {ArrayBuffer} ephemeralRaw Uncompressed ephemeral public key.
+   * @param {ArrayBuffer} recipientRaw Uncompressed recipient public key.
+   * @param {string} context Context string.
+   * @param {string} usage 'encrypt' or 'decrypt'.
+   * @returns {Object} Object with key (CryptoKey) and iv (Uint8Array).
+   */
+  static async sealKey (priv, pub, ephemeralRaw, recipientRaw, context, usage) {
+    const okm = await this.ephemeralSecret(
+      priv,
+      pub,
+      ephemeralRaw,
+      recipientRaw,
+      context,
+      44
+    )
+    return {
+      key: await crypto.subtle.importKey(
+        'raw',
+        okm.slice(0, 32),
+        'AES-GCM',
+        false,
+        [usage]
+      ),
+      iv: new Uint8Array(okm, 32, 12)
+    }
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Encrypt data for Bob only (ECIES). A fresh ephemeral KeyPair
+   * is generated for every call, so the sender stays anonymous and every
+   * message uses its own AES-256-GCM key. The result is a single blob:
+   * version (1 byte, 0x01) || ephemeral public key (65 bytes) || ciphertext
+   * with tag.
+   * @param {PubKey|KeyPair} bobPub PubKey of a person for whom the encryption
+   * is happening.
+   * @param {ArrayBuffer} dataArray Data to be encrypted.
+   * @param {Object} [options] Sealing options.
+   * @param {string} [options.context=''] Context string mixed into the key
+   * (HKDF info). The same context must be passed to open.
+   * @param {ArrayBuffer} [options.additionalData] Additional authenticated
+   * data. The same data must be passed to open.
+   * @returns {ArrayBuffer} Sealed data.
+   */
+  static async seal (bobPub, dataArray, options = {}) {
+    if (bobPub instanceof KeyPair) { bobPub = bobPub.pub() }
+    const { context = '', additionalData = new ArrayBuffer(0) } = options
+    const ephemeral = await KeyPair.fromRandom()
+    const ephemeralRaw = await ephemeral.pub().toRaw()
+    const header = Convert.concat(new Uint8Array([1]), ephemeralRaw)
+    const { key, iv } = await this.sealKey(
+      ephemeral.priv(),
+      bobPub,
+      ephemeralRaw,
+      await bobPub.toRaw(),
+      context,
+      'encrypt'
+    )
+    const encryptedData = await crypto.subtle.encrypt(
+      this.gcmParams(iv, Convert.concat(header, additionalData)),
+      key,
       dataArray
     )
+    return Convert.concat(header, encryptedData)
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Decrypt data produced by seal.
+   * @param {PrivKey|KeyPair} bobPriv PrivKey or KeyPair of a person for whom
+   * the encryption is done.
+   * @param {ArrayBuffer} sealedArray Sealed data.
+   * @param {Object} [options] Options passed to seal.
+   * @param {string} [options.context=''] Context string.
+   * @param {ArrayBuffer} [options.additionalData] Additional authenticated
+   * data.
+   * @returns {ArrayBuffer} Decryption result.
+   */
+  static async open (bobPriv, sealedArray, options = {}) {
+    if (bobPriv instanceof KeyPair) { bobPriv = bobPriv.priv() }
+    const { context = '', additionalData = new ArrayBuffer(0) } = options
+    const bytes = Der.bytes(sealedArray)
+    if (bytes.length < 1 + 65 + 16) {
+      throw new Error('Sealed data is too short')
+    }
+    if (bytes[0] !== 1) {
+      throw new Error(`Unsupported sealed data version ${bytes[0]}`)
+    }
+    const header = bytes.subarray(0, 66)
+    const ephemeralRaw = bytes.slice(1, 66).buffer
+    const { key, iv } = await this.sealKey(
+      bobPriv,
+      await PubKey.fromRaw(ephemeralRaw),
+      ephemeralRaw,
+      await bobPriv.publicRaw(),
+      context,
+      'decrypt'
+    )
+    try {
+      return await crypto.subtle.decrypt(
+        this.gcmParams(iv, Convert.concat(header, additionalData)),
+        key,
+        bytes.subarray(66)
+      )
+    } catch (e) {
+      throw new Error('Cannot open sealed data: wrong key, context or corrupted data')
+    }
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Encrypt data with a password. The key is derived with
+   * scrypt (or PBKDF2, e.g. for constrained devices) and data is encrypted
+   * with AES-256-GCM. The result is a self-describing DER blob with the same
+   * layout as PKCS8 EncryptedPrivateKeyInfo (PBES2, RFC 8018): it carries KDF
+   * name, parameters and salt as well as cipher iv.
+   * @param {string|ArrayBuffer} password Password as string (UTF-8) or bytes.
+   * @param {ArrayBuffer} dataArray Data to be encrypted.
+   * @param {Object} [options] Encryption options.
+   * @param {string} [options.kdf='scrypt'] 'scrypt' or 'PBKDF2'.
+   * @param {number} [options.cost=16384] scrypt CPU/memory cost (N).
+   * @param {number} [options.blockSize=8] scrypt block size (r).
+   * @param {number} [options.parallelization=1] scrypt parallelization (p).
+   * @param {number} [options.iterations=100000] PBKDF2 iteration count.
+   * @param {string} [options.hash='SHA-256'] PBKDF2 PRF hash.
+   * @param {string} [options.cipher='AES-256-GCM'] AES-128-GCM or
+   * AES-256-GCM.
+   * @returns {ArrayBuffer} Encrypted data.
+   */
+  static async encryptWithPassword (password, dataArray, options = {}) {
+    const { kdf = 'scrypt', cipher = 'AES-256-GCM' } = options
+    if (!cipher.endsWith('-GCM')) {
+      throw new Error(`Unsupported password encryption cipher ${cipher}`)
+    }
+    return Pbes2.encrypt(dataArray, password, { ...options, kdf, cipher })
+  }
+
+  /**
+   * @static
+   * @public
+   * @async
+   * @description Decrypt data produced by encryptWithPassword. KDF and its
+   * parameters are read from the data.
+   * @param {string|ArrayBuffer} password Password as string (UTF-8) or bytes.
+   * @param {ArrayBuffer} encryptedArray Encrypted data.
+   * @returns {ArrayBuffer} Decryption result.
+   */
+  static async decryptWithPassword (password, encryptedArray) {
+    return Pbes2.decrypt(encryptedArray, password)
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Encrypted stream parameters: header is version (1 byte,
+   * 0x01) || HKDF salt (16 bytes) || chunk size (4 bytes, big endian), every
+   * chunk carries 16 bytes GCM tag.
+   */
+  static streamFormat = {
+    version: 1,
+    saltLength: 16,
+    headerLength: 21,
+    tagLength: 16,
+    chunkSize: 65536,
+    maxChunkSize: 0x1000000
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Check chunk size of encrypted stream.
+   * @param {number} chunkSize Plaintext bytes per chunk.
+   */
+  static checkChunkSize (chunkSize) {
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 ||
+        chunkSize > this.streamFormat.maxChunkSize) {
+      throw new Error(`Unsupported stream chunk size ${chunkSize}`)
+    }
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Derive AES-GCM key and nonce prefix of encrypted stream from
+   * ECDH shared secret with HKDF-SHA256.
+   * @param {PrivKey} priv PrivKey of one party.
+   * @param {PubKey} pub PubKey of the other party.
+   * @param {Uint8Array} salt Per-stream random salt.
+   * @param {string} usage 'encrypt' or 'decrypt'.
+   * @returns {Object} Object with key (CryptoKey) and prefix (Uint8Array, 7
+   * bytes).
+   */
+  static async streamKey (priv, pub, salt, usage) {
+    const secret = await this.deriveSharedSecret(priv, pub)
+    const okm = await Kdf.hkdf(
+      secret,
+      salt,
+      (new TextEncoder()).encode('es6_crypto stream'),
+      39
+    )
+    return {
+      key: await crypto.subtle.importKey(
+        'raw',
+        okm.slice(0, 32),
+        'AES-GCM',
+        false,
+        [usage]
+      ),
+      prefix: new Uint8Array(okm, 32, 7)
+    }
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Build nonce of stream chunk: prefix (7 bytes) || counter (4
+   * bytes, big endian) || last chunk flag (1 byte).
+   * @param {Uint8Array} prefix Nonce prefix.
+   * @param {number} counter Chunk index.
+   * @param {bool} last Whether the chunk is the final one.
+   * @returns {Uint8Array} 12 bytes nonce.
+   */
+  static streamNonce (prefix, counter, last) {
+    if (counter > 0xffffffff) {
+      throw new Error('Stream has too many chunks')
+    }
+    const nonce = new Uint8Array(12)
+    nonce.set(prefix)
+    new DataView(nonce.buffer).setUint32(7, counter)
+    nonce[11] = last ? 1 : 0
+    return nonce
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Append stream chunk to buffered bytes.
+   * @param {Uint8Array} buffer Buffered bytes.
+   * @param {ArrayBuffer|ArrayBufferView|string} chunk Chunk (strings are
+   * encoded as UTF-8).
+   * @returns {Uint8Array} Buffered bytes followed by the chunk.
+   */
+  static appendChunk (buffer, chunk) {
+    return new Uint8Array(Convert.concat(
+      buffer,
+      typeof chunk === 'string' ? (new TextEncoder()).encode(chunk) : chunk
+    ))
+  }
+
+  /**
+   * @static
+   * @public
+   * @description Create TransformStream encrypting data from Alice to Bob in
+   * chunks (STREAM construction): the key is derived from ECDH and a random
+   * per-stream salt, every chunk is sealed with AES-256-GCM under a nonce made
+   * of chunk counter and final chunk flag. The output starts with a 21 bytes
+   * header; decryptStream detects modified, reordered, dropped and truncated
+   * chunks.
+   * @param {PrivKey|KeyPair} alicePriv PrivKey or KeyPair of a person doing
+   * encryption.
+   * @param {PubKey|KeyPair} bobPub PubKey of a person for whom the encryption
+   * is happening.
+   * @param {Object} [options] Encryption options.
+   * @param {number} [options.chunkSize=65536] Plaintext bytes per chunk.
+   * @param {ArrayBuffer} [options.additionalData] Additional authenticated
+   * data. The same data must be passed to decryptStream.
+   * @returns {TransformStream} Stream taking ArrayBuffer, typed array or
+   * string chunks and producing Uint8Array chunks.
+   */
+  static encryptStream (alicePriv, bobPub, options = {}) {
+    if (alicePriv instanceof KeyPair) { alicePriv = alicePriv.priv() }
+    if (bobPub instanceof KeyPair) { bobPub = bobPub.pub() }
+    const {
+      chunkSize = this.streamFormat.chunkSize,
+      additionalData = new ArrayBuffer(0)
+    } = options
+    this.checkChunkSize(chunkSize)
+    const { version, saltLength, headerLength } = this.streamFormat
+    const header = new Uint8Array(headerLength)
+    header[0] = version
+    header.set(crypto.getRandomValues(new Uint8Array(saltLength)), 1)
+    new DataView(header.buffer).setUint32(1 + saltLength, chunkSize)
+    const aad = Convert.concat(header, additionalData)
+    let stream = null
+    let counter = 0
+    let buffer = new Uint8Array(0)
+    const seal = async (chunk, last) => new Uint8Array(
+      await crypto.subtle.encrypt(
+        this.gcmParams(this.streamNonce(stream.prefix, counter++, last), aad),
+        stream.key,
+        chunk
+      )
+    )
+    return new TransformStream({
+      start: async controller => {
+        stream = await this.streamKey(
+          alicePriv,
+          bobPub,
+          header.subarray(1, 1 + saltLength),
+          'encrypt'
+        )
+        controller.enqueue(header)
+      },
+      transform: async (chunk, controller) => {
+        buffer = this.appendChunk(buffer, chunk)
+        // The last chunk is only known on flush, so one is always held back.
+        while (buffer.length > chunkSize) {
+          controller.enqueue(await seal(buffer.subarray(0, chunkSize), false))
+          buffer = buffer.subarray(chunkSize)
+        }
+      },
+      flush: async controller => {
+        controller.enqueue(await seal(buffer, true))
+      }
+    })
+  }
+
+  /**
+   * @static
+   * @public
+   * @description Create TransformStream decrypting output of encryptStream.
+   * The stream errors if the data is modified, reordered or truncated.
+   * Chunks are only released after their authentication, but a stream that
+   * errors may already have released its leading chunks.
+   * @param {PubKey|KeyPair} alicePub PubKey of a person who has encrypted the
+   * data.
+   * @param {PrivKey|KeyPair} bobPriv PrivKey or KeyPair of a person for whom
+   * the encryption is done.
+   * @param {Object} [options] Decryption options.
+   * @param {ArrayBuffer} [options.additionalData] Additional authenticated
+   * data.
+   * @returns {TransformStream} Stream taking ArrayBuffer or typed array
+   * chunks and producing Uint8Array chunks.
+   */
+  static decryptStream (alicePub, bobPriv, options = {}) {
+    if (bobPriv instanceof KeyPair) { bobPriv = bobPriv.priv() }
+    if (alicePub instanceof KeyPair) { alicePub = alicePub.pub() }
+    const { additionalData = new ArrayBuffer(0) } = options
+    const { version, saltLength, headerLength, tagLength } = this.streamFormat
+    let stream = null
+    let aad = null
+    let segmentLength = 0
+    let counter = 0
+    let buffer = new Uint8Array(0)
+    const open = async (chunk, last) => {
+      try {
+        return new Uint8Array(await crypto.subtle.decrypt(
+          this.gcmParams(
+            this.streamNonce(stream.prefix, counter++, last),
+            aad
+          ),
+          stream.key,
+          chunk
+        ))
+      } catch (e) {
+        throw new Error(
+          'Cannot decrypt stream: wrong key, reordered, truncated or corrupted data'
+        )
+      }
+    }
+    return new TransformStream({
+      transform: async (chunk, controller) => {
+        buffer = this.appendChunk(buffer, chunk)
+        if (!stream) {
+          if (buffer.length < headerLength) { return }
+          const header = buffer.slice(0, headerLength)
+          if (header[0] !== version) {
+            throw new Error(`Unsupported encrypted stream version ${header[0]}`)
+          }
+          const chunkSize = new DataView(header.buffer)
+            .getUint32(1 + saltLength)
+          this.checkChunkSize(chunkSize)
+          stream = await this.streamKey(
+            bobPriv,
+            alicePub,
+            header.subarray(1, 1 + saltLength),
+            'decrypt'
+          )
+          aad = Convert.concat(header, additionalData)
+          segmentLength = chunkSize + tagLength
+          buffer = buffer.subarray(headerLength)
+        }
+        while (buffer.length > segmentLength) {
+          controller.enqueue(await open(buffer.subarray(0, segmentLength), false))
+          buffer = buffer.subarray(segmentLength)
+        }
+      },
+      flush: async controller => {
+        if (!stream) {
+          throw new Error('Encrypted stream is truncated')
+        }
+        controller.enqueue(await open(buffer, true))
+      }
+    })
   }
 }
 
 export {
   Convert,
   Crypto,
+  Der,
+  Envelope,
+  Jwk,
+  JwkSet,
+  Kdf,
   KeyPair,
+  Pem,
   PrivKey,
-  PubKey
+  PubKey,
+  Signature,
+  SymmetricKey
 }
@@ -0,0 +1,394 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @classdesc Der is a minimal strict ASN.1 DER reader and writer. It is used
+ * by PrivKey, PubKey and KeyPair to parse and build key structures.
+ *
+ * Decoded elements are plain objects: { tag, content, children }, where
+ * content is a Uint8Array view of the element value and children is an array
+ * of decoded elements for constructed tags (null otherwise).
+ *
+ * Reading is strict: indefinite and non-minimal lengths, high tag numbers,
+ * non-minimal integers and trailing bytes are rejected with an Error.
+ */
+class Der {
+  /**
+   * @public
+   * @static
+   * @description Universal tags used by the library.
+   */
+  static tags = {
+    integer: 0x02,
+    bitString: 0x03,
+    octetString: 0x04,
+    null: 0x05,
+    oid: 0x06,
+    utf8String: 0x0c,
+    sequence: 0x30,
+    set: 0x31
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Obtain Uint8Array view of ArrayBuffer or any typed array.
+   * @param {ArrayBuffer|ArrayBufferView} buf Data to be viewed.
+   * @returns {Uint8Array} View of the same memory.
+   */
+  static bytes (buf) {
+    if (buf instanceof Uint8Array) { return buf }
+    if (ArrayBuffer.isView(buf)) {
+      return new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength)
+    }
+    return new Uint8Array(buf)
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Obtain context specific tag number.
+   * @param {number} n Tag index, i.e. 0 for [0].
+   * @param {bool} [constructed=true] Whether the element is constructed.
+   * @returns {number} Tag byte.
+   */
+  static context (n, constructed = true) {
+    return (constructed ? 0xa0 : 0x80) | n
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Decode exactly one DER element occupying the whole buffer.
+   * @param {ArrayBuffer|ArrayBufferView} buf DER encoded data.
+   * @returns {Object} Decoded element.
+   */
+  static decode (buf) {
+    const bytes = this.bytes(buf)
+    const [element, end] = this.decodeAt(bytes, 0)
+    if (end !== bytes.length) {
+      throw new Error(`DER: ${bytes.length - end} trailing byte(s)`)
+    }
+    return element
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Decode single element starting at offset.
+   * @param {Uint8Array} bytes DER encoded data.
+   * @param {number} offset Offset of the tag byte.
+   * @returns {Array} Decoded element and offset right after it.
+   */
+  static decodeAt (bytes, offset) {
+    if (offset + 2 > bytes.length) {
+      throw new Error('DER: unexpected end of data')
+    }
+    const tag = bytes[offset++]
+    if ((tag & 0x1f) === 0x1f) {
+      throw new Error('DER: high tag numbers are not supported')
+    }
+    let length = bytes[offset++]
+    if (length === 0x80) {
+      throw new Error('DER: indefinite length is not allowed')
+    }
+    if (length > 0x80) {
+      const count = length & 0x7f
+      if (count > 4 || offset + count > bytes.length) {
+        throw new Error('DER: unsupported or truncated length')
+      }
+      if (bytes[offset] === 0) {
+        throw new Error('DER: non-minimal length encoding')
+      }
+      length = 0
+      for (let i = 0; i < count; i++) { length = length * 256 + bytes[offset++] }
+      if (length < 0x80) {
+        throw new Error('DER: non-minimal length encoding')
+      }
+    }
+    if (offset + length > bytes.length) {
+      throw new Error('DER: element length exceeds available data')
+    }
+    const content = bytes.subarray(offset, offset + length)
+    let children = null
+    if (tag & 0x20) {
+      children = []
+      let childOffset = 0
+      while (childOffset < content.length) {
+        const [child, next] = this.decodeAt(content, childOffset)
+        children.push(child)
+        childOffset = next
+      }
+    }
+    return [{ tag, content, children }, offset + length]
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Make sure element has the expected tag.
+   * @param {Object} element Decoded element (may be undefined).
+   * @param {number} tag Expected tag byte.
+   * @param {string} what Human readable name for error message.
+   * @returns {Object} The very same element.
+   */
+  static expect (element, tag, what) {
+    if (!element) {
+      throw new Error(`DER: ${what} is missing`)
+    }
+    if (element.tag !== tag) {
+      throw new Error(
+        `DER: ${what} must have tag 0x${tag.toString(16)}, ` +
+        `got 0x${element.tag.toString(16)}`
+      )
+    }
+    return element
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Read non-negative INTEGER.
+   * @param {Object} element Decoded INTEGER element.
+   * @param {string} [what='INTEGER'] Human readable name for error message.
+   * @returns {Uint8Array} Big endian magnitude without sign byte.
+   */
+  static readInteger (element, what = 'INTEGER') {
+    const content = this.expect(element, this.tags.integer, what).content
+    if (content.length === 0) {
+      throw new Error(`DER: ${what} is empty`)
+    }
+    if (content[0] & 0x80) {
+      throw new Error(`DER: ${what} must not be negative`)
+    }
+    if (content.length > 1 && content[0] === 0 && !(content[1] & 0x80)) {
+      throw new Error(`DER: ${what} is not minimally encoded`)
+    }
+    return content[0] === 0 && content.length > 1
+      ? content.subarray(1)
+      : content
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Read small non-negative INTEGER (e.g. version) as number.
+   * @param {Object} element Decoded INTEGER element.
+   * @param {string} [what='INTEGER'] Human readable name for error message.
+   * @returns {number} Integer value.
+   */
+  static readNumber (element, what = 'INTEGER') {
+    const bytes = this.readInteger(element, what)
+    if (bytes.length > 6) {
+      throw new Error(`DER: ${what} is too large`)
+    }
+    return bytes.reduce((n, b) => n * 256 + b, 0)
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Read OBJECT IDENTIFIER.
+   * @param {Object} element Decoded OBJECT IDENTIFIER element.
+   * @param {string} [what='OBJECT IDENTIFIER'] Human readable name for error
+   * message.
+   * @returns {string} Dotted representation, e.g. '1.2.840.10045.2.1'.
+   */
+  static readOid (element, what = 'OBJECT IDENTIFIER') {
+    const content = this.expect(element, this.tags.oid, what).content
+    if (content.length === 0 || (content[content.length - 1] & 0x80)) {
+      throw new Error(`DER: ${what} is malformed`)
+    }
+    const arcs = []
+    let value = 0
+    for (let i = 0; i < content.length; i++) {
+      if (value === 0 && content[i] === 0x80) {
+        throw new Error(`DER: ${what} is not minimally encoded`)
+      }
+      value = value * 128 + (content[i] & 0x7f)
+      if (!(content[i] & 0x80)) {
+        arcs.push(value)
+        value = 0
+      }
+    }
+    const first = Math.min(Math.floor(arcs[0] / 40), 2)
+    arcs.splice(0, 1, first, arcs[0] - first * 40)
+    return arcs.join('.')
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Read BIT STRING that has no unused bits.
+   * @param {Object} element Decoded BIT STRING element.
+   * @param {string} [what='BIT STRING'] Human readable name for error message.
+   * @returns {Uint8Array} Bit string bytes.
+   */
+  static readBitString (element, what = 'BIT STRING') {
+    const content = this.expect(element, this.tags.bitString, what).content
+    if (content.length === 0 || content[0] !== 0) {
+      throw new Error(`DER: ${what} must be byte aligned`)
+    }
+    return content.subarray(1)
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Read OCTET STRING.
+   * @param {Object} element Decoded OCTET STRING element.
+   * @param {string} [what='OCTET STRING'] Human readable name for error
+   * message.
+   * @returns {Uint8Array} Octet string bytes.
+   */
+  static readOctetString (element, what = 'OCTET STRING') {
+    return this.expect(element, this.tags.octetString, what).content
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Encode single element.
+   * @param {number} tag Tag byte.
+   * @param {ArrayBuffer|ArrayBufferView|Array} content Value, or an array of
+   * already encoded elements to be concatenated.
+   * @returns {Uint8Array} Encoded element.
+   */
+  static encode (tag, content) {
+    const parts = Array.isArray(content)
+      ? content.map(c => this.bytes(c))
+      : [this.bytes(content)]
+    const length = parts.reduce((n, p) => n + p.length, 0)
+    const lengthBytes = []
+    if (length < 0x80) {
+      lengthBytes.push(length)
+    } else {
+      for (let l = length; l > 0; l = Math.floor(l / 256)) {
+        lengthBytes.unshift(l % 256)
+      }
+      lengthBytes.unshift(0x80 | lengthBytes.length)
+    }
+    const result = new Uint8Array(1 + lengthBytes.length + length)
+    result[0] = tag
+    result.set(lengthBytes, 1)
+    let offset = 1 + lengthBytes.length
+    for (const part of parts) {
+      result.set(part, offset)
+      offset += part.length
+    }
+    return result
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Encode SEQUENCE.
+   * @param {Array} elements Already encoded elements.
+   * @returns {Uint8Array} Encoded SEQUENCE.
+   */
+  static sequence (elements) {
+    return this.encode(this.tags.sequence, elements)
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Encode non-negative INTEGER.
+   * @param {number|ArrayBuffer|ArrayBufferView} value Number or big endian
+   * magnitude.
+   * @returns {Uint8Array} Encoded INTEGER.
+   */
+  static integer (value) {
+    let bytes
+    if (typeof value === 'number') {
+      const arr = []
+      do {
+        arr.unshift(value % 256)
+        value = Math.floor(value / 256)
+      } while (value > 0)
+      bytes = new Uint8Array(arr)
+    } else {
+      bytes = this.bytes(value)
+    }
+    let start = 0
+    while (start < bytes.length - 1 && bytes[start] === 0) { start++ }
+    bytes = bytes.subarray(start)
+    if (bytes.length === 0 || bytes[0] & 0x80) {
+      return this.encode(this.tags.integer, [new Uint8Array([0]), bytes])
+    }
+    return this.encode(this.tags.integer, bytes)
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Encode OBJECT IDENTIFIER.
+   * @param {string} oid Dotted representation, e.g. '1.2.840.10045.2.1'.
+   * @returns {Uint8Array} Encoded OBJECT IDENTIFIER.
+   */
+  static oid (oid) {
+    const arcs = oid.split('.').map(Number)
+    const values = [arcs[0] * 40 + arcs[1], ...arcs.slice(2)]
+    const bytes = []
+    for (const value of values) {
+      const group = [value % 128]
+      for (let v = Math.floor(value / 128); v > 0; v = Math.floor(v / 128)) {
+        group.unshift(0x80 | (v % 128))
+      }
+      bytes.push(...group)
+    }
+    return this.encode(this.tags.oid, new Uint8Array(bytes))
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Encode OCTET STRING.
+   * @param {ArrayBuffer|ArrayBufferView} value Octet string bytes.
+   * @returns {Uint8Array} Encoded OCTET STRING.
+   */
+  static octetString (value) {
+    return this.encode(this.tags.octetString, value)
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Encode byte aligned BIT STRING.
+   * @param {ArrayBuffer|ArrayBufferView} value Bit string bytes.
+   * @returns {Uint8Array} Encoded BIT STRING.
+   */
+  static bitString (value) {
+    return this.encode(this.tags.bitString, [new Uint8Array([0]), value])
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Encode NULL.
+   * @returns {Uint8Array} Encoded NULL.
+   */
+  static null () {
+    return this.encode(this.tags.null, new Uint8Array(0))
+  }
+}
+
+export {
+  Der
+}
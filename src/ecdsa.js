@@ -0,0 +1,284 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+import {
+  Convert
+} from './convert.js'
+import {
+  Der
+} from './der.js'
+import {
+  PrivKey
+} from './privkey.js'
+import {
+  BigInteger
+} from './tom_vu/BigInteger.js'
+
+/**
+ * @classdesc Ecdsa implements P-256 ECDSA signing in software on top of
+ * tom_vu ec.js arithmetic. It is used where crypto.subtle is not enough:
+ * deterministic nonces (RFC 6979) and public key recovery.
+ *
+ * Recovery id is the parity of R.y in bit 0 and R.x >= n in bit 1.
+ */
+class Ecdsa {
+  /**
+   * @private
+   * @static
+   * @description Length of the curve order in bytes.
+   */
+  static length = 32
+
+  /**
+   * @private
+   * @static
+   * @description Output lengths of supported hashes in bytes.
+   */
+  static hashLengths = {
+    'SHA-256': 32,
+    'SHA-384': 48,
+    'SHA-512': 64
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Convert bytes to BigInteger.
+   * @param {Uint8Array} bytes Big endian bytes.
+   * @returns {BigInteger} Integer value.
+   */
+  static toBigInteger (bytes) {
+    return new BigInteger(Convert.arrayBufferToHexString(bytes) || '00', 16)
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Convert BigInteger to big endian bytes of curve order size.
+   * @param {BigInteger} value Integer smaller than 2^256.
+   * @returns {Uint8Array} 32 bytes.
+   */
+  static toBytes (value) {
+    return new Uint8Array(Convert.hexStringToArrayBuffer(
+      value.toString(16).padStart(2 * this.length, '0')
+    ))
+  }
+
+  /**
+   * @private
+   * @static
+   * @description RFC 6979 bits2int: leftmost 256 bits of the input.
+   * @param {Uint8Array} bytes Hash or HMAC output.
+   * @returns {BigInteger} Integer value.
+   */
+  static bitsToInt (bytes) {
+    return this.toBigInteger(bytes.subarray(0, this.length))
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Compute HMAC of concatenated parts.
+   * @param {string} hash HMAC hash name, e.g. 'SHA-256'.
+   * @param {Uint8Array} key HMAC key.
+   * @param {...Uint8Array} parts Message parts.
+   * @returns {Uint8Array} HMAC value.
+   */
+  static async hmac (hash, key, ...parts) {
+    const hmacKey = await crypto.subtle.importKey(
+      'raw',
+      key,
+      {
+        name: 'HMAC',
+        hash
+      },
+      false,
+      ['sign']
+    )
+    const message = new Uint8Array(
+      parts.reduce((length, part) => length + part.length, 0)
+    )
+    parts.reduce((offset, part) => {
+      message.set(part, offset)
+      return offset + part.length
+    }, 0)
+    return new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, message))
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Generate RFC 6979 (section 3.2) nonce candidates.
+   * @param {Uint8Array} d 32 bytes of private key.
+   * @param {Uint8Array} digest Message digest.
+   * @param {string} hash HMAC hash name.
+   * @yields {BigInteger} Nonce k in [1, n - 1].
+   */
+  static async * nonces (d, digest, hash) {
+    const x = this.toBytes(this.toBigInteger(d))
+    const h1 = this.toBytes(this.bitsToInt(digest).mod(PrivKey.N))
+    if (!this.hashLengths[hash]) {
+      throw new Error(`Unsupported hash ${hash}`)
+    }
+    let v = new Uint8Array(this.hashLengths[hash]).fill(1)
+    let k = new Uint8Array(v.length)
+    k = await this.hmac(hash, k, v, new Uint8Array([0]), x, h1)
+    v = await this.hmac(hash, k, v)
+    k = await this.hmac(hash, k, v, new Uint8Array([1]), x, h1)
+    v = await this.hmac(hash, k, v)
+    for (;;) {
+      const t = new Uint8Array(this.length)
+      for (let offset = 0; offset < t.length; offset += v.length) {
+        v = await this.hmac(hash, k, v)
+        t.set(v.subarray(0, t.length - offset), offset)
+      }
+      const candidate = this.bitsToInt(t)
+      if (candidate.signum() > 0 && candidate.compareTo(PrivKey.N) < 0) {
+        yield candidate
+      }
+      k = await this.hmac(hash, k, v, new Uint8Array([0]))
+      v = await this.hmac(hash, k, v)
+    }
+  }
+
+  /**
+   * @public
+   * @static
+   * @async
+   * @description Sign digest deterministically (RFC 6979).
+   * @param {ArrayBuffer|Uint8Array} d 32 bytes of private key.
+   * @param {ArrayBuffer|Uint8Array} digest Message digest.
+   * @param {string} [hash='SHA-256'] HMAC hash used for nonce generation.
+   * @returns {Object} Object with signature (64 bytes of r||s, ArrayBuffer)
+   * and recoveryId (0..3).
+   */
+  static async sign (d, digest, hash = 'SHA-256') {
+    d = Der.bytes(d)
+    digest = Der.bytes(digest)
+    const n = PrivKey.N
+    const e = this.bitsToInt(digest).mod(n)
+    const privateKey = this.toBigInteger(d)
+    for await (const k of this.nonces(d, digest, hash)) {
+      const point = PrivKey.G.multiply(k)
+      const x = point.getX().toBigInteger()
+      const r = x.mod(n)
+      if (r.signum() === 0) { continue }
+      const s = k.modInverse(n)
+        .multiply(e.add(privateKey.multiply(r)))
+        .mod(n)
+      if (s.signum() === 0) { continue }
+      const raw = new Uint8Array(2 * this.length)
+      raw.set(this.toBytes(r))
+      raw.set(this.toBytes(s), this.length)
+      return {
+        signature: raw.buffer,
+        recoveryId: (point.getY().toBigInteger().testBit(0) ? 1 : 0) |
+          (x.compareTo(n) >= 0 ? 2 : 0)
+      }
+    }
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Verify signature of digest.
+   * @param {Uint8Array} pub 65 bytes of uncompressed public key.
+   * @param {ArrayBuffer|Uint8Array} digest Message digest.
+   * @param {ArrayBuffer|Uint8Array} signature 64 bytes of r||s.
+   * @returns {bool} Verification result.
+   */
+  static verify (pub, digest, signature) {
+    const bytes = Der.bytes(signature)
+    if (bytes.length !== 2 * this.length) { return false }
+    const n = PrivKey.N
+    const r = this.toBigInteger(bytes.subarray(0, this.length))
+    const s = this.toBigInteger(bytes.subarray(this.length))
+    if (r.signum() === 0 || r.compareTo(n) >= 0 ||
+        s.signum() === 0 || s.compareTo(n) >= 0) {
+      return false
+    }
+    const q = PrivKey.G.curve.decodePointHex(
+      Convert.arrayBufferToHexString(pub)
+    )
+    const e = this.bitsToInt(Der.bytes(digest)).mod(n)
+    const w = s.modInverse(n)
+    const point = PrivKey.G.multiply(e.multiply(w).mod(n))
+      .add(q.multiply(r.multiply(w).mod(n)))
+    if (point.isInfinity()) { return false }
+    return point.getX().toBigInteger().mod(n).equals(r)
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Recover public keys that could have produced the signature.
+   * @param {ArrayBuffer|Uint8Array} digest Message digest.
+   * @param {ArrayBuffer|Uint8Array} signature 64 bytes of r||s.
+   * @param {number} [recoveryId] Recovery id (0..3) to recover a single key.
+   * @returns {Object[]} Array of objects with recoveryId and pub (65 bytes of
+   * uncompressed public key, Uint8Array).
+   */
+  static recover (digest, signature, recoveryId) {
+    const bytes = Der.bytes(signature)
+    if (bytes.length !== 2 * this.length) {
+      throw new Error('Raw signature must be 64 bytes long')
+    }
+    if (recoveryId !== undefined &&
+        !(Number.isInteger(recoveryId) && recoveryId >= 0 && recoveryId <= 3)) {
+      throw new Error('Recovery id must be an integer in range 0..3')
+    }
+    const n = PrivKey.N
+    const curve = PrivKey.G.curve
+    const r = this.toBigInteger(bytes.subarray(0, this.length))
+    const s = this.toBigInteger(bytes.subarray(this.length))
+    if (r.signum() === 0 || r.compareTo(n) >= 0 ||
+        s.signum() === 0 || s.compareTo(n) >= 0) {
+      throw new Error('Signature values must be in range 1..n-1')
+    }
+    const e = this.bitsToInt(Der.bytes(digest)).mod(n)
+    const rInverse = r.modInverse(n)
+    const u1 = n.subtract(e).multiply(rInverse).mod(n)
+    const u2 = s.multiply(rInverse).mod(n)
+    const ids = recoveryId === undefined ? [0, 1, 2, 3] : [recoveryId]
+    const keys = []
+    for (const id of ids) {
+      const x = id & 2 ? r.add(n) : r
+      if (x.compareTo(curve.getQ()) >= 0) { continue }
+      const point = curve.decodePointHex(
+        (id & 1 ? '03' : '02') + x.toString(16).padStart(2 * this.length, '0')
+      )
+      if (point === null) { continue }
+      const q = point.multiply(u2).add(PrivKey.G.multiply(u1))
+      if (q.isInfinity()) { continue }
+      keys.push({
+        recoveryId: id,
+        pub: new Uint8Array(
+          Convert.hexStringToArrayBuffer(curve.encodePointHex(q))
+        )
+      })
+    }
+    return keys
+  }
+}
+
+export {
+  Ecdsa
+}
@@ -0,0 +1,343 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+import {
+  Convert
+} from './convert.js'
+import {
+  Der
+} from './der.js'
+
+/**
+ * @classdesc Envelope defines the versioned, self-describing container of
+ * encrypted data and its binary (DER) and JSON (base64url members) forms:
+ *
+ * Envelope ::= SEQUENCE {
+ *   version     INTEGER (1),
+ *   algorithm   UTF8String,
+ *   sender      CHOICE {
+ *     kid  [0] IMPLICIT UTF8String,
+ *     spki [1] IMPLICIT OCTET STRING
+ *   } OPTIONAL,
+ *   recipients [3] IMPLICIT SEQUENCE OF Recipient OPTIONAL,
+ *   iv          OCTET STRING,
+ *   aad     [2] IMPLICIT OCTET STRING OPTIONAL,
+ *   ciphertext  OCTET STRING
+ * }
+ *
+ * Recipient ::= SEQUENCE {
+ *   kid [0] IMPLICIT UTF8String OPTIONAL,
+ *   key      OCTET STRING
+ * }
+ *
+ * JSON form: { "v", "alg", "kid" or "spki", "recipients": [{ "kid", "key" }],
+ * "iv", "aad", "ct" }.
+ *
+ * Everything but iv and ciphertext is authenticated (see header), so both
+ * forms carry the very same ciphertext and can be converted into each other.
+ */
+class Envelope {
+  /**
+   * @public
+   * @static
+   * @description Supported envelope format version.
+   */
+  static version = 1
+
+  /**
+   * @public
+   * @static
+   * @description Algorithm ids understood by Crypto.decryptEnvelope:
+   * - direct: static-static ECDH P-256, AES-256-GCM (Crypto.encrypt);
+   * - recipients: ephemeral-static ECDH P-256 with HKDF-SHA256, content key
+   * wrapped with AES-256-KW for every recipient, AES-256-GCM.
+   */
+  static algorithms = {
+    direct: 'ECDH-P256-A256GCM',
+    recipients: 'ECDH-ES-P256-A256KW-A256GCM'
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Context specific tags of optional members.
+   */
+  static tags = {
+    kid: Der.context(0, false),
+    spki: Der.context(1, false),
+    aad: Der.context(2, false),
+    recipients: Der.context(3)
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Make sure envelope object is well formed.
+   * @param {Object} envelope Envelope object.
+   * @returns {Object} The very same envelope.
+   */
+  static check (envelope) {
+    if (envelope.version !== this.version) {
+      throw new Error(`Unsupported envelope version ${envelope.version}`)
+    }
+    if (typeof envelope.alg !== 'string' || envelope.alg.length === 0) {
+      throw new Error('Envelope algorithm must be a non-empty string')
+    }
+    if (envelope.kid !== undefined && envelope.spki !== undefined) {
+      throw new Error('Envelope must not have both kid and spki')
+    }
+    if (envelope.kid !== undefined && typeof envelope.kid !== 'string') {
+      throw new Error('Envelope kid must be a string')
+    }
+    if (!envelope.iv || !envelope.ciphertext) {
+      throw new Error('Envelope must have iv and ciphertext')
+    }
+    if (envelope.recipients !== undefined) {
+      if (!Array.isArray(envelope.recipients) ||
+          envelope.recipients.length === 0) {
+        throw new Error('Envelope recipients must be a non-empty array')
+      }
+      for (const recipient of envelope.recipients) {
+        if (recipient.kid !== undefined && typeof recipient.kid !== 'string') {
+          throw new Error('Envelope recipient kid must be a string')
+        }
+        if (!recipient.key) {
+          throw new Error('Envelope recipient must have key')
+        }
+      }
+    }
+    return envelope
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Encode authenticated members of envelope.
+   * @param {Object} envelope Envelope object.
+   * @param {bool} withPayload Whether iv and ciphertext should be included.
+   * @returns {Uint8Array[]} DER elements.
+   */
+  static elements (envelope, withPayload) {
+    const utf8 = str => (new TextEncoder()).encode(str)
+    const elements = [
+      Der.integer(envelope.version),
+      Der.encode(Der.tags.utf8String, utf8(envelope.alg))
+    ]
+    if (envelope.kid !== undefined) {
+      elements.push(Der.encode(this.tags.kid, utf8(envelope.kid)))
+    }
+    if (envelope.spki !== undefined) {
+      elements.push(Der.encode(this.tags.spki, Der.bytes(envelope.spki)))
+    }
+    if (envelope.recipients !== undefined) {
+      elements.push(Der.encode(
+        this.tags.recipients,
+        envelope.recipients.map(recipient => Der.sequence([
+          ...(recipient.kid === undefined
+            ? []
+            : [Der.encode(this.tags.kid, utf8(recipient.kid))]),
+          Der.octetString(recipient.key)
+        ]))
+      ))
+    }
+    if (withPayload) { elements.push(Der.octetString(envelope.iv)) }
+    if (envelope.aad !== undefined) {
+      elements.push(Der.encode(this.tags.aad, Der.bytes(envelope.aad)))
+    }
+    if (withPayload) { elements.push(Der.octetString(envelope.ciphertext)) }
+    return elements
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Obtain authenticated header of envelope: DER SEQUENCE of
+   * version, algorithm, sender and aad. It is used as AES-GCM additional
+   * data, so none of those can be altered without failing decryption.
+   * @param {Object} envelope Envelope object.
+   * @returns {ArrayBuffer} Header.
+   */
+  static header (envelope) {
+    return Der.sequence(this.elements(envelope, false)).buffer
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Encode envelope to binary (DER) form.
+   * @param {Object} envelope Envelope object.
+   * @returns {ArrayBuffer} Binary envelope.
+   */
+  static toBinary (envelope) {
+    return Der.sequence(this.elements(this.check(envelope), true)).buffer
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Decode envelope from binary (DER) form.
+   * @param {ArrayBuffer|ArrayBufferView} buf Binary envelope.
+   * @returns {Object} Envelope object.
+   */
+  static fromBinary (buf) {
+    const utf8 = bytes => (new TextDecoder('utf-8', { fatal: true }))
+      .decode(bytes)
+    const elements = Der.expect(Der.decode(buf), Der.tags.sequence, 'Envelope')
+      .children
+    let i = 0
+    const envelope = {
+      version: Der.readNumber(elements[i++], 'Envelope version')
+    }
+    if (envelope.version !== this.version) {
+      throw new Error(`Unsupported envelope version ${envelope.version}`)
+    }
+    envelope.alg = utf8(
+      Der.expect(elements[i++], Der.tags.utf8String, 'Envelope algorithm')
+        .content
+    )
+    if (elements[i] && elements[i].tag === this.tags.kid) {
+      envelope.kid = utf8(elements[i++].content)
+    } else if (elements[i] && elements[i].tag === this.tags.spki) {
+      envelope.spki = elements[i++].content.slice()
+    }
+    if (elements[i] && elements[i].tag === this.tags.recipients) {
+      envelope.recipients = elements[i++].children.map(element => {
+        const members = Der.expect(
+          element,
+          Der.tags.sequence,
+          'Envelope recipient'
+        ).children
+        const recipient = {}
+        if (members.length === 2) {
+          recipient.kid = utf8(Der.expect(
+            members[0],
+            this.tags.kid,
+            'Envelope recipient kid'
+          ).content)
+        } else if (members.length !== 1) {
+          throw new Error('Envelope recipient must have kid and key only')
+        }
+        recipient.key = Der.readOctetString(
+          members[members.length - 1],
+          'Envelope recipient key'
+        ).slice()
+        return recipient
+      })
+    }
+    envelope.iv = Der.readOctetString(elements[i++], 'Envelope iv').slice()
+    if (elements[i] && elements[i].tag === this.tags.aad) {
+      envelope.aad = elements[i++].content.slice()
+    }
+    envelope.ciphertext = Der.readOctetString(
+      elements[i++],
+      'Envelope ciphertext'
+    ).slice()
+    if (i !== elements.length) {
+      throw new Error('Envelope has unexpected elements')
+    }
+    return this.check(envelope)
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Encode envelope to JSON form.
+   * @param {Object} envelope Envelope object.
+   * @returns {string} JSON envelope.
+   */
+  static toJSON (envelope) {
+    this.check(envelope)
+    const b64 = buf => Convert.arrayBufferToUrlBase64(Der.bytes(buf))
+    const json = {
+      v: envelope.version,
+      alg: envelope.alg
+    }
+    if (envelope.kid !== undefined) { json.kid = envelope.kid }
+    if (envelope.spki !== undefined) { json.spki = b64(envelope.spki) }
+    if (envelope.recipients !== undefined) {
+      json.recipients = envelope.recipients.map(recipient => {
+        const entry = {}
+        if (recipient.kid !== undefined) { entry.kid = recipient.kid }
+        entry.key = b64(recipient.key)
+        return entry
+      })
+    }
+    json.iv = b64(envelope.iv)
+    if (envelope.aad !== undefined) { json.aad = b64(envelope.aad) }
+    json.ct = b64(envelope.ciphertext)
+    return JSON.stringify(json)
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Decode envelope from JSON form.
+   * @param {string|Object} json JSON envelope, either string or parsed.
+   * @returns {Object} Envelope object.
+   */
+  static fromJSON (json) {
+    if (typeof json === 'string') { json = JSON.parse(json) }
+    const bytes = (value, name) => {
+      if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+        throw new Error(`Envelope ${name} must be a base64url string`)
+      }
+      return new Uint8Array(Convert.urlBase64ToArrayBuffer(value))
+    }
+    const envelope = {
+      version: json.v,
+      alg: json.alg
+    }
+    if (json.kid !== undefined) { envelope.kid = json.kid }
+    if (json.spki !== undefined) { envelope.spki = bytes(json.spki, 'spki') }
+    if (json.recipients !== undefined) {
+      if (!Array.isArray(json.recipients)) {
+        throw new Error('Envelope recipients must be an array')
+      }
+      envelope.recipients = json.recipients.map(entry => {
+        const recipient = {}
+        if (entry.kid !== undefined) { recipient.kid = entry.kid }
+        recipient.key = bytes(entry.key, 'recipient key')
+        return recipient
+      })
+    }
+    envelope.iv = bytes(json.iv, 'iv')
+    if (json.aad !== undefined) { envelope.aad = bytes(json.aad, 'aad') }
+    envelope.ciphertext = bytes(json.ct, 'ct')
+    return this.check(envelope)
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Decode envelope of any form.
+   * @param {ArrayBuffer|ArrayBufferView|string|Object} input Binary envelope,
+   * JSON string or parsed JSON.
+   * @returns {Object} Envelope object.
+   */
+  static parse (input) {
+    if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+      return this.fromBinary(input)
+    }
+    return this.fromJSON(input)
+  }
+}
+
+export {
+  Envelope
+}
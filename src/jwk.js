@@ -0,0 +1,97 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+import {
+  Convert
+} from './convert.js'
+
+/**
+ * @classdesc Jwk provides helpers for plain JWK objects of any key type:
+ * public member filtering and RFC 7638 thumbprints.
+ */
+class Jwk {
+  /**
+   * @private
+   * @static
+   * @description Required members of each key type in lexicographic order
+   * (RFC 7638, section 3.2).
+   */
+  static requiredMembers = {
+    EC: ['crv', 'kty', 'x', 'y'],
+    OKP: ['crv', 'kty', 'x'],
+    RSA: ['e', 'kty', 'n'],
+    oct: ['k', 'kty']
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Members that are safe to publish.
+   */
+  static publicMembers = [
+    'kty', 'crv', 'x', 'y', 'n', 'e', 'kid', 'alg', 'use'
+  ]
+
+  /**
+   * @public
+   * @static
+   * @description Copy public members of JWK (drops private parts, key_ops
+   * and ext).
+   * @param {Object} jwk Object representing JWK.
+   * @returns {Object} New JWK with public members only.
+   */
+  static toPublic (jwk) {
+    const result = {}
+    for (const name of this.publicMembers) {
+      if (jwk[name] !== undefined) { result[name] = jwk[name] }
+    }
+    return result
+  }
+
+  /**
+   * @public
+   * @static
+   * @async
+   * @description Compute RFC 7638 SHA-256 thumbprint.
+   * @param {Object} jwk Object representing JWK.
+   * @returns {string} base64url encoded thumbprint.
+   */
+  static async thumbprint (jwk) {
+    const members = this.requiredMembers[jwk.kty]
+    if (!members) {
+      throw new Error(`Unsupported JWK kty ${jwk.kty}`)
+    }
+    const canonical = {}
+    for (const name of members) {
+      if (typeof jwk[name] !== 'string') {
+        throw new Error(`JWK ${name} is required for thumbprint`)
+      }
+      canonical[name] = jwk[name]
+    }
+    const digest = await crypto.subtle.digest(
+      'SHA-256',
+      (new TextEncoder()).encode(JSON.stringify(canonical))
+    )
+    return Convert.arrayBufferToUrlBase64(digest)
+  }
+}
+
+export {
+  Jwk
+}
@@ -0,0 +1,164 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+import {
+  Jwk
+} from './jwk.js'
+import {
+  KeyPair
+} from './keypair.js'
+import {
+  PubKey
+} from './pubkey.js'
+
+/**
+ * @classdesc JwkSet is a container for JWK Set (RFC 7517, section 5), e.g. the
+ * content of /.well-known/jwks.json.
+ *
+ * Entries are kept as plain JWK objects (copies, the input is never
+ * modified), so keys of any type survive from/toJSON round-trips. EC P-256
+ * entries can be turned into PubKey (public entries) or KeyPair (private
+ * entries) instances.
+ */
+class JwkSet {
+  /**
+   * @constructor
+   * @public
+   * @param {Object[]} [keys=[]] JWK entries.
+   */
+  constructor (keys = []) {
+    this._keys = keys.map(jwk => JSON.parse(JSON.stringify(jwk)))
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Import JwkSet from JSON.
+   * @param {string|Object} json JSON string or parsed object with keys array.
+   * @returns {JwkSet} Imported JwkSet.
+   */
+  static fromJSON (json) {
+    const set = typeof json === 'string' ? JSON.parse(json) : json
+    if (!set || !Array.isArray(set.keys)) {
+      throw new Error('JWK Set must have "keys" array')
+    }
+    return new JwkSet(set.keys)
+  }
+
+  /**
+   * @public
+   * @static
+   * @async
+   * @description Build JwkSet of public JWKs for PubKey/KeyPair instances.
+   * Entries without kid get their RFC 7638 thumbprint as kid.
+   * @param {Array} keys PubKey or KeyPair instances.
+   * @returns {JwkSet} Built JwkSet.
+   */
+  static async fromKeys (keys) {
+    const jwks = await Promise.all(keys.map(async key => {
+      const jwk = key instanceof KeyPair
+        ? await key.toPublicJwk()
+        : Jwk.toPublic(await key.toJwk())
+      if (jwk.kid === undefined) { jwk.kid = await key.thumbprint() }
+      return jwk
+    }))
+    return new JwkSet(jwks)
+  }
+
+  /**
+   * @public
+   * @description Export JwkSet to JSON serializable object. Called by
+   * JSON.stringify.
+   * @returns {Object} Object with keys array.
+   */
+  toJSON () {
+    return {
+      keys: this.keys()
+    }
+  }
+
+  /**
+   * @public
+   * @description Obtain copies of JWK entries.
+   * @returns {Object[]} JWK entries.
+   */
+  keys () {
+    return this._keys.map(jwk => JSON.parse(JSON.stringify(jwk)))
+  }
+
+  /**
+   * @public
+   * @description Find JWK entry by kid.
+   * @param {string} kid Key id.
+   * @returns {Object} Copy of the first entry with such kid or undefined.
+   */
+  findByKid (kid) {
+    return this.keys().find(jwk => jwk.kid === kid)
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Find JWK entry by RFC 7638 thumbprint. Entries the
+   * thumbprint cannot be computed for are ignored.
+   * @param {string} thumbprint base64url encoded SHA-256 thumbprint.
+   * @returns {Object} Copy of the first matching entry or undefined.
+   */
+  async findByThumbprint (thumbprint) {
+    for (const jwk of this.keys()) {
+      try {
+        if (await Jwk.thumbprint(jwk) === thumbprint) { return jwk }
+      } catch (e) {}
+    }
+    return undefined
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Import every EC P-256 entry. Entries with private part
+   * become KeyPair, the others PubKey.
+   * @returns {Object} Object with keys (PubKey/KeyPair array in order of
+   * entries) and skipped (array of { index, kid, reason } for entries that
+   * are not supported or fail to import).
+   */
+  async toKeys () {
+    const keys = []
+    const skipped = []
+    const entries = this.keys()
+    for (let index = 0; index < entries.length; index++) {
+      const jwk = entries[index]
+      try {
+        if (jwk.kty !== 'EC' || jwk.crv !== 'P-256') {
+          throw new Error(`Unsupported key type ${jwk.kty}/${jwk.crv}`)
+        }
+        keys.push(jwk.d !== undefined
+          ? await KeyPair.fromJwk(jwk)
+          : await PubKey.fromJwk(jwk))
+      } catch (e) {
+        skipped.push({ index, kid: jwk.kid, reason: e.message })
+      }
+    }
+    return { keys, skipped }
+  }
+}
+
+export {
+  JwkSet
+}
@@ -0,0 +1,195 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+import {
+  Convert
+} from './convert.js'
+
+/**
+ * @classdesc Kdf provides key derivation functions used to turn ECDH shared
+ * secrets into symmetric keys: HKDF (RFC 5869), ANSI X9.63 and NIST SP
+ * 800-56A ConcatKDF. They match CryptoKit hkdfDerivedSymmetricKey and
+ * x963DerivedSymmetricKey.
+ */
+class Kdf {
+  /**
+   * @private
+   * @static
+   * @description Hash output lengths in bytes.
+   */
+  static hashLengths = {
+    'SHA-1': 20,
+    'SHA-256': 32,
+    'SHA-384': 48,
+    'SHA-512': 64
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Symmetric algorithms derived key material can be imported
+   * as and their usages.
+   */
+  static usages = {
+    'AES-GCM': ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey'],
+    'AES-CBC': ['encrypt', 'decrypt'],
+    'AES-CTR': ['encrypt', 'decrypt'],
+    'AES-KW': ['wrapKey', 'unwrapKey'],
+    HMAC: ['sign', 'verify']
+  }
+
+  /**
+   * @public
+   * @static
+   * @async
+   * @description Derive key material with HKDF (RFC 5869).
+   * @param {ArrayBuffer} ikm Input key material, e.g. ECDH shared secret.
+   * @param {ArrayBuffer} salt Salt, may be empty.
+   * @param {ArrayBuffer} info Context and application specific information.
+   * @param {number} length Number of bytes to derive.
+   * @param {string} [hash='SHA-256'] Hash: 'SHA-256', 'SHA-384' or 'SHA-512'.
+   * @returns {ArrayBuffer} Derived key material.
+   */
+  static async hkdf (ikm, salt, info, length, hash = 'SHA-256') {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      ikm,
+      'HKDF',
+      false,
+      ['deriveBits']
+    )
+    return crypto.subtle.deriveBits(
+      {
+        name: 'HKDF',
+        hash,
+        salt,
+        info
+      },
+      key,
+      8 * length
+    )
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Derive key material by hashing counter blocks: K(i) =
+   * H(prefix || counter || suffix) with 32-bit big endian counter from 1.
+   * @param {Function} block Function building hash input from counter bytes.
+   * @param {number} length Number of bytes to derive.
+   * @param {string} hash Hash name.
+   * @returns {ArrayBuffer} Derived key material.
+   */
+  static async counterHash (block, length, hash) {
+    const hashLength = this.hashLengths[hash]
+    if (!hashLength) {
+      throw new Error(`Unsupported KDF hash ${hash}`)
+    }
+    if (!Number.isInteger(length) || length < 1 ||
+        length > hashLength * 0xffffffff) {
+      throw new Error(`Unsupported KDF output length ${length}`)
+    }
+    const result = new Uint8Array(Math.ceil(length / hashLength) * hashLength)
+    const counter = new Uint8Array(4)
+    for (let i = 0; i * hashLength < length; i++) {
+      new DataView(counter.buffer).setUint32(0, i + 1)
+      result.set(
+        new Uint8Array(await crypto.subtle.digest(hash, block(counter))),
+        i * hashLength
+      )
+    }
+    return result.slice(0, length).buffer
+  }
+
+  /**
+   * @public
+   * @static
+   * @async
+   * @description Derive key material with ANSI X9.63 KDF (SEC 1 section
+   * 3.6.1): K(i) = H(Z || counter || SharedInfo).
+   * @param {ArrayBuffer} z Shared secret.
+   * @param {ArrayBuffer} sharedInfo Shared info, may be empty.
+   * @param {number} length Number of bytes to derive.
+   * @param {string} [hash='SHA-256'] Hash: 'SHA-1', 'SHA-256', 'SHA-384' or
+   * 'SHA-512'.
+   * @returns {ArrayBuffer} Derived key material.
+   */
+  static async x963 (z, sharedInfo, length, hash = 'SHA-256') {
+    return this.counterHash(
+      counter => Convert.concat(z, counter, sharedInfo),
+      length,
+      hash
+    )
+  }
+
+  /**
+   * @public
+   * @static
+   * @async
+   * @description Derive key material with NIST SP 800-56A ConcatKDF
+   * (single-step KDF with hash): K(i) = H(counter || Z || OtherInfo).
+   * @param {ArrayBuffer} z Shared secret.
+   * @param {ArrayBuffer} otherInfo Other info, may be empty.
+   * @param {number} length Number of bytes to derive.
+   * @param {string} [hash='SHA-256'] Hash: 'SHA-1', 'SHA-256', 'SHA-384' or
+   * 'SHA-512'.
+   * @returns {ArrayBuffer} Derived key material.
+   */
+  static async concatKdf (z, otherInfo, length, hash = 'SHA-256') {
+    return this.counterHash(
+      counter => Convert.concat(counter, z, otherInfo),
+      length,
+      hash
+    )
+  }
+
+  /**
+   * @public
+   * @static
+   * @async
+   * @description Import derived key material as WebCrypto key.
+   * @param {ArrayBuffer} material Key material.
+   * @param {string} algorithm 'AES-GCM', 'AES-CBC', 'AES-CTR', 'AES-KW' or
+   * 'HMAC'.
+   * @param {Object} [options] Import options.
+   * @param {string} [options.hash='SHA-256'] HMAC hash.
+   * @param {bool} [options.extractable=false] Whether the key can be
+   * exported.
+   * @returns {CryptoKey} Imported key.
+   */
+  static async importKey (material, algorithm, options = {}) {
+    const { hash = 'SHA-256', extractable = false } = options
+    const usages = this.usages[algorithm]
+    if (!usages) {
+      throw new Error(`Unsupported key algorithm ${algorithm}`)
+    }
+    return crypto.subtle.importKey(
+      'raw',
+      material,
+      algorithm === 'HMAC' ? { name: algorithm, hash } : algorithm,
+      extractable,
+      usages
+    )
+  }
+}
+
+export {
+  Kdf
+}
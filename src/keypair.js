@@ -20,21 +20,18 @@
 import {
   Convert
 } from './convert.js'
+import {
+  Jwk
+} from './jwk.js'
+import {
+  Pem
+} from './pem.js'
 import {
   PrivKey
 } from './privkey.js'
 import {
   PubKey
 } from './pubkey.js'
-import {
-  BigInteger
-} from './tom_vu/BigInteger.js'
-
-/**
- * @description PrivKey needs to perform software public key derivation.
- * Therefore, BigInreger needs to be carried around with PrivKey.
- * @external BigInteger
- */
 
 /**
  * @classdesc KeyPair is a container for PrivKey and PubKey.
@@ -78,7 +75,8 @@ class KeyPair {
    * @public
    * @async
    * @static
-   * @description Import KeyPair from JWK.
+   * @description Import KeyPair from JWK. The JWK is not modified; kid, alg
+   * and use are kept with both keys.
    * @param {Object} jwk Object representing JWK.
    * @returns {KeyPair} Imported KeyPair.
    */
@@ -98,14 +96,25 @@ class KeyPair {
    * @returns {KeyPair} Imported KeyPair.
    */
   static async fromPkcs8 (pkcs8) {
-    const priv = PrivKey.fromPkcs8(pkcs8)
-    const rawPub = new Uint8Array(65)
-    rawPub[0] = 0x04
-    rawPub.set((new Uint8Array(pkcs8)).subarray(74, 138), 1)
-    const pub = PubKey.fromRaw(rawPub.buffer)
+    const { d, pub } = PrivKey.parsePkcs8(pkcs8)
+    return KeyPair.fromParts(d, pub)
+  }
+
+  /**
+   * @private
+   * @async
+   * @static
+   * @description Import KeyPair from d value and matching raw public key.
+   * @param {Uint8Array} d 32 bytes of d value in BigEndian.
+   * @param {Uint8Array} pub 65 bytes of uncompressed public key.
+   * @returns {KeyPair} Imported KeyPair.
+   */
+  static async fromParts (d, pub) {
+    const priv = PrivKey.fromParts(d, pub)
+    const pubKey = PubKey.fromRaw(pub)
     return new KeyPair(
       await priv,
-      await pub
+      await pubKey
     )
   }
 
@@ -135,6 +144,84 @@ class KeyPair {
     return KeyPair.fromPkcs8(pkcs8)
   }
 
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import KeyPair from the first "PRIVATE KEY" (PKCS8),
+   * "EC PRIVATE KEY" (SEC1), "ENCRYPTED PRIVATE KEY" (PKCS8 PBES2) or
+   * "OPENSSH PRIVATE KEY" PEM block.
+   * @param {string} pem String containing PEM encoded private key.
+   * @param {string|ArrayBuffer} [password] Password for encrypted block.
+   * @returns {KeyPair} Imported KeyPair.
+   */
+  static async fromPem (pem, password) {
+    const { d, pub } = await PrivKey.parsePem(pem, password)
+    return KeyPair.fromParts(d, pub)
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import KeyPair from password encrypted PKCS8.
+   * @param {ArrayBuffer} buf DER encoded EncryptedPrivateKeyInfo.
+   * @param {string|ArrayBuffer} password Password as string (UTF-8) or bytes.
+   * @returns {KeyPair} Imported KeyPair.
+   */
+  static async fromEncryptedPkcs8 (buf, password) {
+    const { d, pub } = await PrivKey.parseEncryptedPkcs8(buf, password)
+    return KeyPair.fromParts(d, pub)
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import KeyPair wrapped with wrap. The private key is not
+   * extractable by default, see PrivKey.unwrap.
+   * @param {ArrayBuffer} wrapped Wrapped key.
+   * @param {SymmetricKey} kek Key-encryption key used by wrap.
+   * @param {string} [format] Format used by wrap, see PrivKey.unwrap.
+   * @param {bool} [extractable=false] Whether the unwrapped private key can
+   * be exported.
+   * @returns {KeyPair} Imported KeyPair.
+   */
+  static async unwrap (wrapped, kek, format, extractable = false) {
+    const priv = await PrivKey.unwrap(wrapped, kek, format, extractable)
+    const pub = await PubKey.fromRaw((await priv.publicRaw()).slice().buffer)
+    return new KeyPair(priv, pub)
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import KeyPair from "OPENSSH PRIVATE KEY" PEM block. Other
+   * PEM blocks are rejected, use fromPem for them.
+   * @param {string} pem String containing OpenSSH private key.
+   * @param {string|ArrayBuffer} [passphrase] Passphrase of protected key.
+   * @returns {KeyPair} Imported KeyPair.
+   */
+  static async fromOpenSsh (pem, passphrase) {
+    const block = Pem.decode(pem, 'OPENSSH PRIVATE KEY')
+    const { d, pub } = await PrivKey.parseOpenSsh(block.data, passphrase)
+    return KeyPair.fromParts(d, pub)
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import KeyPair from SEC1 ECPrivateKey (RFC 5915).
+   * @param {ArrayBuffer} buf DER encoded ECPrivateKey.
+   * @returns {KeyPair} Imported KeyPair.
+   */
+  static async fromSec1 (buf) {
+    const { d, pub } = PrivKey.parseSec1(buf)
+    return KeyPair.fromParts(d, pub)
+  }
+
   /**
    * @public
    * @async
@@ -144,15 +231,8 @@ class KeyPair {
    * @returns {KeyPair} Imported KeyPair.
    */
   static async fromRaw (raw) {
-    const priv = PrivKey.fromRaw(raw)
-    const rawPub = (new Uint8Array(raw)).subarray(0, 65)
-    const rawPubCopy = new Uint8Array(65)
-    rawPubCopy.set(rawPub, 0)
-    const pub = PubKey.fromRaw(rawPubCopy.buffer)
-    return new KeyPair(
-      await priv,
-      await pub
-    )
+    const { d, pub } = PrivKey.parseRaw(raw)
+    return KeyPair.fromParts(d, pub)
   }
 
   /**
@@ -164,37 +244,8 @@ class KeyPair {
    * @returns {KeyPair} Imported KeyPair.
    */
   static async fromD (dBuf) {
-    const bigIntD = new BigInteger(
-      Convert.arrayBufferToHexString(dBuf),
-      16
-    )
-    const p = PrivKey.G.multiply(bigIntD)
-    const bigIntX = p.getX().toBigInteger()
-    const rawX = Convert.hexStringToArrayBuffer(bigIntX.toString(16))
-    const bigIntY = p.getY().toBigInteger()
-    const rawY = Convert.hexStringToArrayBuffer(bigIntY.toString(16))
-    const rawXArr = new Uint8Array(rawX)
-    const rawYArr = new Uint8Array(rawY)
-
-    const pkcs8 = new Uint8Array(
-      PrivKey.pkcs8DHeader.length + PrivKey.pkcs8XYHeader.length + 96
-    )
-    pkcs8.set(PrivKey.pkcs8DHeader, 0)
-    pkcs8.set(new Uint8Array(dBuf), 36)
-    pkcs8.set(PrivKey.pkcs8XYHeader, 68)
-    pkcs8.set(rawXArr, 74)
-    pkcs8.set(rawYArr, 106)
-
-    const priv = PrivKey.fromPkcs8(pkcs8.buffer)
-    const rawPub = new Uint8Array(65)
-    rawPub[0] = 0x04
-    rawPub.set(rawXArr, 1)
-    rawPub.set(rawYArr, 33)
-    const pub = PubKey.fromRaw(rawPub.buffer)
-    return new KeyPair(
-      await priv,
-      await pub
-    )
+    const d = PrivKey.normalizeD(dBuf, true)
+    return KeyPair.fromParts(d, PrivKey.derivePub(d))
   }
 
   /**
@@ -235,6 +286,38 @@ class KeyPair {
     }
   }
 
+  /**
+   * @public
+   * @async
+   * @description Check whether other KeyPair (or PrivKey) holds the same key.
+   * @param {KeyPair|PrivKey} other Key to compare with.
+   * @returns {bool} Comparison result.
+   */
+  async equals (other) {
+    return this.priv().equals(other)
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Compute SHA-256 fingerprint of public key in SPKI format.
+   * @param {string} [encoding='hex'] 'hex', 'base64', 'colon' or 'raw'.
+   * @returns {string|ArrayBuffer} Fingerprint.
+   */
+  async fingerprint (encoding = 'hex') {
+    return this.pub().fingerprint(encoding)
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Compute RFC 7638 JWK thumbprint of public key.
+   * @returns {string} base64url encoded SHA-256 thumbprint.
+   */
+  async thumbprint () {
+    return this.pub().thumbprint()
+  }
+
   /**
    * @public
    * @async
@@ -285,14 +368,107 @@ class KeyPair {
     return this.priv().toBase64()
   }
 
+  /**
+   * @public
+   * @async
+   * @description Export KeyPair's private key to PEM.
+   * @returns {string} Export result.
+   */
+  async toPem () {
+    return this.priv().toPem()
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export KeyPair's private key to password encrypted PKCS8.
+   * @param {string|ArrayBuffer} password Password as string (UTF-8) or bytes.
+   * @param {Object} [options] Encryption options, see
+   * PrivKey.toEncryptedPkcs8.
+   * @returns {ArrayBuffer} Export result.
+   */
+  async toEncryptedPkcs8 (password, options = {}) {
+    return this.priv().toEncryptedPkcs8(password, options)
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export KeyPair's private key encrypted under
+   * key-encryption key.
+   * @param {SymmetricKey} kek AES-KW or AES-GCM key-encryption key.
+   * @param {string} [format] 'pkcs8' or 'jwk', see PrivKey.wrap.
+   * @returns {ArrayBuffer} Wrapped key.
+   */
+  async wrap (kek, format) {
+    return this.priv().wrap(kek, format)
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export KeyPair's private key to encrypted PEM.
+   * @param {string|ArrayBuffer} password Password as string (UTF-8) or bytes.
+   * @param {Object} [options] Encryption options, see
+   * PrivKey.toEncryptedPkcs8.
+   * @returns {string} Export result.
+   */
+  async toEncryptedPem (password, options = {}) {
+    return this.priv().toEncryptedPem(password, options)
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export KeyPair's private key to SEC1.
+   * @returns {ArrayBuffer} Export result.
+   */
+  async toSec1 () {
+    return this.priv().toSec1()
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export KeyPair's private key to SEC1 PEM.
+   * @returns {string} Export result.
+   */
+  async toSec1Pem () {
+    return this.priv().toSec1Pem()
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export KeyPair's private key to OpenSSH format.
+   * @param {Object} [options] Export options, see PrivKey.toOpenSsh.
+   * @returns {string} Export result.
+   */
+  async toOpenSsh (options = {}) {
+    return this.priv().toOpenSsh(options)
+  }
+
   /**
    * @public
    * @async
    * @description Export KeyPair's private key to JWK.
+   * @param {Object} [params={}] kid, alg and use, see PrivKey.toJwk.
+   * @returns {Object} Export result.
+   */
+  async toJwk (params = {}) {
+    return this.priv().toJwk(params)
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export KeyPair's public key to JWK suitable for publishing
+   * (no private part, key_ops and ext).
+   * @param {Object} [params={}] kid, alg and use, see PubKey.toJwk.
    * @returns {Object} Export result.
    */
-  async toJwk () {
-    return this.priv().toJwk()
+  async toPublicJwk (params = {}) {
+    return Jwk.toPublic(await this.pub().toJwk(params))
   }
 };
 
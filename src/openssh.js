@@ -0,0 +1,409 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+import {
+  BcryptPbkdf
+} from './bcryptpbkdf.js'
+import {
+  Convert
+} from './convert.js'
+import {
+  Der
+} from './der.js'
+import {
+  Pem
+} from './pem.js'
+
+/**
+ * @classdesc OpenSsh encodes and decodes ecdsa-sha2-nistp256 keys in OpenSSH
+ * formats: authorized_keys lines and "openssh-key-v1" private keys, either
+ * unencrypted or protected with bcrypt_pbkdf and AES-CTR.
+ */
+class OpenSsh {
+  /**
+   * @private
+   * @static
+   * @description SSH key type of P-256 ECDSA keys.
+   */
+  static keyType = 'ecdsa-sha2-nistp256'
+
+  /**
+   * @private
+   * @static
+   * @description SSH curve identifier of P-256.
+   */
+  static curveName = 'nistp256'
+
+  /**
+   * @private
+   * @static
+   * @description Magic prefix of "openssh-key-v1" private keys.
+   */
+  static authMagic = 'openssh-key-v1\0'
+
+  /**
+   * @private
+   * @static
+   * @description Upper bound of bcrypt_pbkdf rounds, capping the CPU time a
+   * crafted key can demand (ssh-keygen uses 16 by default).
+   */
+  static maxRounds = 1000
+
+  /**
+   * @private
+   * @static
+   * @description Supported private key ciphers with their key lengths.
+   */
+  static ciphers = {
+    'aes128-ctr': 16,
+    'aes256-ctr': 32
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Encode SSH wire format values.
+   * @param {Array} values Numbers (uint32), strings (UTF-8 string) and byte
+   * arrays (string).
+   * @returns {Uint8Array} Concatenated encoding.
+   */
+  static encode (values) {
+    const parts = values.map(value => {
+      if (typeof value === 'number') {
+        const part = new Uint8Array(4)
+        new DataView(part.buffer).setUint32(0, value)
+        return part
+      }
+      const bytes = typeof value === 'string'
+        ? (new TextEncoder()).encode(value)
+        : Der.bytes(value)
+      const part = new Uint8Array(4 + bytes.length)
+      new DataView(part.buffer).setUint32(0, bytes.length)
+      part.set(bytes, 4)
+      return part
+    })
+    const result = new Uint8Array(parts.reduce((n, p) => n + p.length, 0))
+    let offset = 0
+    for (const part of parts) {
+      result.set(part, offset)
+      offset += part.length
+    }
+    return result
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Create SSH wire format reader.
+   * @param {Uint8Array} bytes Data to be read.
+   * @returns {Object} Reader with uint32(), string(), text() and rest()
+   * methods.
+   */
+  static reader (bytes) {
+    let offset = 0
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const reader = {
+      uint32: () => {
+        if (offset + 4 > bytes.length) {
+          throw new Error('OpenSSH: unexpected end of data')
+        }
+        offset += 4
+        return view.getUint32(offset - 4)
+      },
+      string: () => {
+        const length = reader.uint32()
+        if (offset + length > bytes.length) {
+          throw new Error('OpenSSH: string exceeds available data')
+        }
+        offset += length
+        return bytes.subarray(offset - length, offset)
+      },
+      text: () => (new TextDecoder()).decode(reader.string()),
+      rest: () => bytes.subarray(offset)
+    }
+    return reader
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Encode public key blob.
+   * @param {Uint8Array} raw 65 bytes of uncompressed public key.
+   * @returns {Uint8Array} SSH public key blob.
+   */
+  static encodePublicBlob (raw) {
+    return this.encode([this.keyType, this.curveName, raw])
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Decode public key blob.
+   * @param {Uint8Array} blob SSH public key blob.
+   * @returns {Uint8Array} Raw public key.
+   */
+  static decodePublicBlob (blob) {
+    const reader = this.reader(blob)
+    this.checkType(reader)
+    const raw = reader.string()
+    if (reader.rest().length !== 0) {
+      throw new Error('OpenSSH: trailing data in public key')
+    }
+    return raw
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Read and check key type and curve name.
+   * @param {Object} reader SSH wire format reader.
+   */
+  static checkType (reader) {
+    const type = reader.text()
+    if (type !== this.keyType) {
+      throw new Error(`OpenSSH: unsupported key type ${type}`)
+    }
+    const curve = reader.text()
+    if (curve !== this.curveName) {
+      throw new Error(`OpenSSH: unsupported curve ${curve}`)
+    }
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Encode authorized_keys line.
+   * @param {Uint8Array} raw 65 bytes of uncompressed public key.
+   * @param {string} [comment=''] Comment appended to the line.
+   * @returns {string} "ecdsa-sha2-nistp256 AAAA... comment" line.
+   */
+  static encodePublic (raw, comment = '') {
+    const b64 = Convert.arrayBufferToBase64(this.encodePublicBlob(raw))
+    return [this.keyType, b64, comment].filter(s => s).join(' ')
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Decode authorized_keys line. Leading options are skipped.
+   * @param {string} line "ecdsa-sha2-nistp256 AAAA... comment" line.
+   * @returns {Object} Object with raw public key and comment.
+   */
+  static decodePublic (line) {
+    const fields = line.trim().split(/\s+/)
+    const index = fields.indexOf(this.keyType)
+    if (index < 0 || index + 1 >= fields.length) {
+      throw new Error(`OpenSSH: no ${this.keyType} key found`)
+    }
+    const blob = new Uint8Array(Convert.base64ToArrayBuffer(fields[index + 1]))
+    return {
+      raw: this.decodePublicBlob(blob),
+      comment: fields.slice(index + 2).join(' ')
+    }
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Encode unsigned big endian number as SSH mpint content.
+   * @param {Uint8Array} bytes Big endian magnitude.
+   * @returns {Uint8Array} Minimal two's complement representation.
+   */
+  static mpint (bytes) {
+    let start = 0
+    while (start < bytes.length && bytes[start] === 0) { start++ }
+    const magnitude = bytes.subarray(start)
+    if (magnitude.length === 0 || !(magnitude[0] & 0x80)) { return magnitude }
+    const result = new Uint8Array(magnitude.length + 1)
+    result.set(magnitude, 1)
+    return result
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Apply AES-CTR keyed with bcrypt_pbkdf to private section.
+   * @param {string} cipherName OpenSSH cipher name.
+   * @param {string|ArrayBuffer} passphrase Passphrase.
+   * @param {Uint8Array} salt bcrypt_pbkdf salt.
+   * @param {number} rounds bcrypt_pbkdf rounds.
+   * @param {Uint8Array} data Private section.
+   * @returns {Uint8Array} Encrypted or decrypted private section.
+   */
+  static async crypt (cipherName, passphrase, salt, rounds, data) {
+    if (rounds > this.maxRounds) {
+      throw new Error(`OpenSSH: bcrypt_pbkdf rounds exceed ${this.maxRounds}`)
+    }
+    const keyLength = this.ciphers[cipherName]
+    const material = await BcryptPbkdf.derive(
+      passphrase,
+      salt,
+      rounds,
+      keyLength + 16
+    )
+    const key = await crypto.subtle.importKey(
+      'raw',
+      material.subarray(0, keyLength),
+      'AES-CTR',
+      false,
+      ['encrypt']
+    )
+    return new Uint8Array(await crypto.subtle.encrypt(
+      {
+        name: 'AES-CTR',
+        counter: material.subarray(keyLength),
+        length: 128
+      },
+      key,
+      data
+    ))
+  }
+
+  /**
+   * @public
+   * @static
+   * @async
+   * @description Encode "OPENSSH PRIVATE KEY" PEM block.
+   * @param {Uint8Array} d 32 bytes of d value.
+   * @param {Uint8Array} pub 65 bytes of uncompressed public key.
+   * @param {Object} [options] Export options.
+   * @param {string|ArrayBuffer} [options.passphrase] Passphrase; the key is
+   * stored unencrypted if omitted.
+   * @param {string} [options.comment=''] Key comment.
+   * @param {string} [options.cipher='aes256-ctr'] Cipher for passphrase
+   * protection.
+   * @param {number} [options.rounds=16] bcrypt_pbkdf rounds, at most 1000.
+   * @returns {string} PEM encoded private key.
+   */
+  static async encodePrivate (d, pub, options = {}) {
+    const {
+      passphrase,
+      comment = '',
+      cipher = 'aes256-ctr',
+      rounds = 16
+    } = options
+    const encrypted = passphrase !== undefined && passphrase !== null
+    if (encrypted && !this.ciphers[cipher]) {
+      throw new Error(`OpenSSH: unsupported cipher ${cipher}`)
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(16))
+    const checkInt = crypto.getRandomValues(new Uint32Array(1))[0]
+    const section = this.encode([
+      checkInt,
+      checkInt,
+      this.keyType,
+      this.curveName,
+      pub,
+      this.mpint(d),
+      comment
+    ])
+    const blockSize = encrypted ? 16 : 8
+    let privateBlob = new Uint8Array(
+      Math.ceil(section.length / blockSize) * blockSize
+    )
+    privateBlob.set(section)
+    for (let i = section.length; i < privateBlob.length; i++) {
+      privateBlob[i] = i - section.length + 1
+    }
+    if (encrypted) {
+      privateBlob = await this.crypt(
+        cipher, passphrase, salt, rounds, privateBlob
+      )
+    }
+    const magic = (new TextEncoder()).encode(this.authMagic)
+    const body = this.encode([
+      encrypted ? cipher : 'none',
+      encrypted ? 'bcrypt' : 'none',
+      encrypted ? this.encode([salt, rounds]) : new Uint8Array(0),
+      1,
+      this.encodePublicBlob(pub),
+      privateBlob
+    ])
+    const blob = new Uint8Array(magic.length + body.length)
+    blob.set(magic)
+    blob.set(body, magic.length)
+    return Pem.encode(blob.buffer, 'OPENSSH PRIVATE KEY', 70)
+  }
+
+  /**
+   * @public
+   * @static
+   * @async
+   * @description Decode "openssh-key-v1" private key.
+   * @param {ArrayBuffer} buf Binary content of "OPENSSH PRIVATE KEY" block.
+   * @param {string|ArrayBuffer} [passphrase] Passphrase of protected key.
+   * @returns {Object} Object with d (Uint8Array), pub (65 bytes) and comment.
+   */
+  static async decodePrivate (buf, passphrase) {
+    const bytes = Der.bytes(buf)
+    const magic = (new TextEncoder()).encode(this.authMagic)
+    if (
+      bytes.length < magic.length ||
+      !magic.every((b, i) => bytes[i] === b)
+    ) {
+      throw new Error('OpenSSH: not an openssh-key-v1 private key')
+    }
+    const reader = this.reader(bytes.subarray(magic.length))
+    const cipherName = reader.text()
+    const kdfName = reader.text()
+    const kdfOptions = reader.string()
+    if (reader.uint32() !== 1) {
+      throw new Error('OpenSSH: only single key files are supported')
+    }
+    const pub = this.decodePublicBlob(reader.string())
+    let section = reader.string()
+    if (cipherName !== 'none') {
+      if (!this.ciphers[cipherName] || kdfName !== 'bcrypt') {
+        throw new Error(`OpenSSH: unsupported cipher ${cipherName}/${kdfName}`)
+      }
+      if (passphrase === undefined || passphrase === null) {
+        throw new Error('Passphrase is required for encrypted OpenSSH key')
+      }
+      if (section.length % 16 !== 0) {
+        throw new Error('OpenSSH: encrypted section is not block aligned')
+      }
+      const kdf = this.reader(kdfOptions)
+      const salt = kdf.string()
+      const rounds = kdf.uint32()
+      section = await this.crypt(cipherName, passphrase, salt, rounds, section)
+    }
+    const priv = this.reader(section)
+    const checkInt = priv.uint32()
+    if (priv.uint32() !== checkInt) {
+      throw new Error('Cannot decrypt OpenSSH key: wrong passphrase or corrupted data')
+    }
+    this.checkType(priv)
+    const privPub = priv.string()
+    if (!privPub.every((b, i) => b === pub[i]) || privPub.length !== pub.length) {
+      throw new Error('OpenSSH: public key mismatch')
+    }
+    const d = priv.string()
+    const comment = priv.text()
+    const padding = priv.rest()
+    if (!padding.every((b, i) => b === i + 1)) {
+      throw new Error('OpenSSH: invalid padding')
+    }
+    return { d: d[0] === 0 ? d.subarray(1) : d, pub, comment }
+  }
+}
+
+export {
+  OpenSsh
+}
@@ -0,0 +1,384 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+import {
+  Der
+} from './der.js'
+import {
+  Scrypt
+} from './scrypt.js'
+
+/**
+ * @classdesc Pbes2 implements PKCS#5 v2 (RFC 8018) password based encryption
+ * of PKCS8 EncryptedPrivateKeyInfo with PBKDF2 or scrypt (RFC 7914) and
+ * AES-CBC/AES-GCM. The AES-CBC output is interchangeable with
+ * `openssl pkcs8 -topk8 -v2 aes256` (add `-scrypt` for scrypt). AES-GCM uses
+ * RFC 5084 parameters, which OpenSSL 3.0 does not read.
+ */
+class Pbes2 {
+  /**
+   * @private
+   * @static
+   * @description OIDs of supported algorithms.
+   */
+  static oids = {
+    pbes2: '1.2.840.113549.1.5.13',
+    pbkdf2: '1.2.840.113549.1.5.12',
+    scrypt: '1.3.6.1.4.1.11591.4.11',
+    'SHA-1': '1.2.840.113549.2.7',
+    'SHA-256': '1.2.840.113549.2.9',
+    'SHA-384': '1.2.840.113549.2.10',
+    'SHA-512': '1.2.840.113549.2.11',
+    'AES-128-CBC': '2.16.840.1.101.3.4.1.2',
+    'AES-256-CBC': '2.16.840.1.101.3.4.1.42',
+    'AES-128-GCM': '2.16.840.1.101.3.4.1.6',
+    'AES-256-GCM': '2.16.840.1.101.3.4.1.46'
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Default encryption options.
+   */
+  static defaults = {
+    cipher: 'AES-256-CBC',
+    kdf: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: 100000,
+    cost: 16384,
+    blockSize: 8,
+    parallelization: 1,
+    saltLength: 16
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Upper bound of PBKDF2 iteration count, capping the CPU time
+   * an untrusted blob can demand. scrypt parameters are bounded by Scrypt.
+   */
+  static maxIterations = 10000000
+
+  /**
+   * @private
+   * @static
+   * @description Find name of the algorithm by OID.
+   * @param {string} oid Dotted OID.
+   * @returns {string} Algorithm name or undefined.
+   */
+  static nameOf (oid) {
+    return Object.keys(this.oids).find(name => this.oids[name] === oid)
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Derive AES key from password with PBKDF2 or scrypt.
+   * @param {string|ArrayBuffer} password Password as string (UTF-8) or bytes.
+   * @param {Object} kdf Key derivation parameters: name ('PBKDF2' or
+   * 'scrypt') and salt (Uint8Array) with iterations and hash for PBKDF2 or
+   * cost, blockSize and parallelization for scrypt.
+   * @param {string} cipher Cipher name, e.g. 'AES-256-CBC'.
+   * @param {string} usage 'encrypt' or 'decrypt'.
+   * @returns {CryptoKey} Derived AES key.
+   */
+  static async deriveKey (password, kdf, cipher, usage) {
+    const [, length, mode] = cipher.split('-')
+    if (kdf.name === 'scrypt') {
+      return crypto.subtle.importKey(
+        'raw',
+        await Scrypt.derive(
+          password,
+          kdf.salt,
+          kdf.cost,
+          kdf.blockSize,
+          kdf.parallelization,
+          Number(length) / 8
+        ),
+        `AES-${mode}`,
+        false,
+        [usage]
+      )
+    }
+    if (kdf.iterations > this.maxIterations) {
+      throw new Error('PBKDF2 iteration count exceeds limit')
+    }
+    const passwordKey = await crypto.subtle.importKey(
+      'raw',
+      typeof password === 'string'
+        ? (new TextEncoder()).encode(password)
+        : password,
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    )
+    return crypto.subtle.deriveKey(
+      {
+        name: 'PBKDF2',
+        salt: kdf.salt,
+        iterations: kdf.iterations,
+        hash: kdf.hash
+      },
+      passwordKey,
+      {
+        name: `AES-${mode}`,
+        length: Number(length)
+      },
+      false,
+      [usage]
+    )
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Encode keyDerivationFunc AlgorithmIdentifier.
+   * @param {Object} kdf Key derivation parameters (see deriveKey).
+   * @returns {Uint8Array} DER encoded AlgorithmIdentifier.
+   */
+  static encodeKdf (kdf) {
+    if (kdf.name === 'scrypt') {
+      return Der.sequence([
+        Der.oid(this.oids.scrypt),
+        Der.sequence([
+          Der.octetString(kdf.salt),
+          Der.integer(kdf.cost),
+          Der.integer(kdf.blockSize),
+          Der.integer(kdf.parallelization)
+        ])
+      ])
+    }
+    return Der.sequence([
+      Der.oid(this.oids.pbkdf2),
+      Der.sequence([
+        Der.octetString(kdf.salt),
+        Der.integer(kdf.iterations),
+        Der.sequence([Der.oid(this.oids[kdf.hash]), Der.null()])
+      ])
+    ])
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Decode keyDerivationFunc AlgorithmIdentifier.
+   * @param {Object} element Decoded DER element.
+   * @returns {Object} Key derivation parameters (see deriveKey).
+   */
+  static decodeKdf (element) {
+    const kdfAlgo = Der.expect(element, Der.tags.sequence, 'keyDerivationFunc')
+      .children
+    const kdfOid = Der.readOid(kdfAlgo[0], 'keyDerivationFunc')
+    if (kdfOid === this.oids.scrypt) {
+      const [saltElement, ...numbers] = Der.expect(
+        kdfAlgo[1],
+        Der.tags.sequence,
+        'scrypt-params'
+      ).children
+      if (numbers.length < 3 || numbers.length > 4) {
+        throw new Error('scrypt-params must have four or five elements')
+      }
+      return {
+        name: 'scrypt',
+        salt: Der.readOctetString(saltElement, 'scrypt salt'),
+        cost: Der.readNumber(numbers[0], 'scrypt costParameter'),
+        blockSize: Der.readNumber(numbers[1], 'scrypt blockSize'),
+        parallelization: Der.readNumber(
+          numbers[2],
+          'scrypt parallelizationParameter'
+        )
+      }
+    }
+    if (kdfOid !== this.oids.pbkdf2) {
+      throw new Error(`Unsupported key derivation function ${kdfOid}`)
+    }
+    const [saltElement, iterationsElement, ...kdfRest] = Der.expect(
+      kdfAlgo[1],
+      Der.tags.sequence,
+      'PBKDF2-params'
+    ).children
+    const salt = Der.readOctetString(saltElement, 'PBKDF2 salt')
+    const iterations = Der.readNumber(iterationsElement, 'PBKDF2 iterationCount')
+    let hash = 'SHA-1'
+    for (const element of kdfRest) {
+      if (element.tag === Der.tags.sequence) {
+        hash = this.nameOf(Der.readOid(element.children[0], 'PBKDF2 prf'))
+        if (!hash || !hash.startsWith('SHA-')) {
+          throw new Error('Unsupported PBKDF2 prf')
+        }
+      } else {
+        Der.readNumber(element, 'PBKDF2 keyLength')
+      }
+    }
+    return {
+      name: 'PBKDF2',
+      salt,
+      iterations,
+      hash
+    }
+  }
+
+  /**
+   * @public
+   * @static
+   * @async
+   * @description Encrypt DER data into EncryptedPrivateKeyInfo.
+   * @param {ArrayBuffer} data Plaintext (PKCS8 PrivateKeyInfo).
+   * @param {string|ArrayBuffer} password Password as string (UTF-8) or bytes.
+   * @param {Object} [options] Encryption options.
+   * @param {string} [options.cipher='AES-256-CBC'] One of AES-128-CBC,
+   * AES-256-CBC, AES-128-GCM, AES-256-GCM.
+   * @param {string} [options.kdf='PBKDF2'] 'PBKDF2' or 'scrypt'.
+   * @param {string} [options.hash='SHA-256'] PBKDF2 PRF hash.
+   * @param {number} [options.iterations=100000] PBKDF2 iteration count.
+   * @param {number} [options.cost=16384] scrypt CPU/memory cost (N).
+   * @param {number} [options.blockSize=8] scrypt block size (r).
+   * @param {number} [options.parallelization=1] scrypt parallelization (p).
+   * @param {number} [options.saltLength=16] KDF salt length in bytes.
+   * @returns {ArrayBuffer} DER encoded EncryptedPrivateKeyInfo.
+   */
+  static async encrypt (data, password, options = {}) {
+    const {
+      cipher,
+      kdf,
+      hash,
+      iterations,
+      cost,
+      blockSize,
+      parallelization,
+      saltLength
+    } = {
+      ...this.defaults,
+      ...options
+    }
+    if (!this.oids[cipher] || !cipher.startsWith('AES-')) {
+      throw new Error(`Unsupported PBES2 cipher ${cipher}`)
+    }
+    if (kdf !== 'PBKDF2' && kdf !== 'scrypt') {
+      throw new Error(`Unsupported key derivation function ${kdf}`)
+    }
+    if (!this.oids[hash] || !hash.startsWith('SHA-')) {
+      throw new Error(`Unsupported PBKDF2 hash ${hash}`)
+    }
+    const gcm = cipher.endsWith('GCM')
+    const salt = crypto.getRandomValues(new Uint8Array(saltLength))
+    const iv = crypto.getRandomValues(new Uint8Array(gcm ? 12 : 16))
+    const kdfParams = kdf === 'scrypt'
+      ? { name: kdf, salt, cost, blockSize, parallelization }
+      : { name: kdf, salt, iterations, hash }
+    const key = await this.deriveKey(password, kdfParams, cipher, 'encrypt')
+    const encrypted = await crypto.subtle.encrypt(
+      gcm ? { name: 'AES-GCM', iv, tagLength: 128 } : { name: 'AES-CBC', iv },
+      key,
+      data
+    )
+    return Der.sequence([
+      Der.sequence([
+        Der.oid(this.oids.pbes2),
+        Der.sequence([
+          this.encodeKdf(kdfParams),
+          Der.sequence([
+            Der.oid(this.oids[cipher]),
+            gcm
+              ? Der.sequence([Der.octetString(iv), Der.integer(16)])
+              : Der.octetString(iv)
+          ])
+        ])
+      ]),
+      Der.octetString(encrypted)
+    ]).buffer
+  }
+
+  /**
+   * @public
+   * @static
+   * @async
+   * @description Decrypt EncryptedPrivateKeyInfo. KDF parameters above
+   * maxIterations (PBKDF2) or Scrypt.limits are rejected before deriving.
+   * @param {ArrayBuffer} buf DER encoded EncryptedPrivateKeyInfo.
+   * @param {string|ArrayBuffer} password Password as string (UTF-8) or bytes.
+   * @returns {ArrayBuffer} Plaintext (PKCS8 PrivateKeyInfo).
+   */
+  static async decrypt (buf, password) {
+    const info = Der.expect(
+      Der.decode(buf),
+      Der.tags.sequence,
+      'EncryptedPrivateKeyInfo'
+    ).children
+    if (info.length !== 2) {
+      throw new Error('EncryptedPrivateKeyInfo must have two elements')
+    }
+    const algo = Der.expect(
+      info[0],
+      Der.tags.sequence,
+      'encryptionAlgorithm'
+    ).children
+    const algoOid = Der.readOid(algo[0], 'encryptionAlgorithm')
+    if (algoOid !== this.oids.pbes2) {
+      throw new Error(`Unsupported encryption algorithm ${algoOid}`)
+    }
+    const [kdf, scheme] = Der.expect(
+      algo[1],
+      Der.tags.sequence,
+      'PBES2-params'
+    ).children
+    const kdfParams = this.decodeKdf(kdf)
+    const schemeAlgo = Der.expect(scheme, Der.tags.sequence, 'encryptionScheme')
+      .children
+    const cipher = this.nameOf(Der.readOid(schemeAlgo[0], 'encryptionScheme'))
+    if (!cipher || !cipher.startsWith('AES-')) {
+      throw new Error('Unsupported PBES2 encryption scheme')
+    }
+    let params
+    if (cipher.endsWith('GCM')) {
+      const gcmParams = Der.expect(
+        schemeAlgo[1],
+        Der.tags.sequence,
+        'GCMParameters'
+      ).children
+      params = {
+        name: 'AES-GCM',
+        iv: Der.readOctetString(gcmParams[0], 'GCM nonce'),
+        tagLength: 8 * (gcmParams[1]
+          ? Der.readNumber(gcmParams[1], 'GCM ICVlen')
+          : 12)
+      }
+    } else {
+      params = {
+        name: 'AES-CBC',
+        iv: Der.readOctetString(schemeAlgo[1], 'CBC iv')
+      }
+    }
+    const key = await this.deriveKey(password, kdfParams, cipher, 'decrypt')
+    try {
+      return await crypto.subtle.decrypt(
+        params,
+        key,
+        Der.readOctetString(info[1], 'encryptedData')
+      )
+    } catch (e) {
+      throw new Error('Cannot decrypt: wrong password or corrupted data')
+    }
+  }
+}
+
+export {
+  Pbes2
+}
@@ -0,0 +1,110 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+import {
+  Convert
+} from './convert.js'
+
+/**
+ * @classdesc Pem provides encoding and decoding of PEM armoured DER blobs
+ * ("-----BEGIN PUBLIC KEY-----" and friends).
+ *
+ * Decoding tolerates multi-line armour, CRLF line endings and any text
+ * surrounding the blocks, so several blocks can be read from one bundle.
+ */
+class Pem {
+  /**
+   * @private
+   * @static
+   * @description Regular expression matching a single PEM block. The label
+   * is captured twice to make sure BEGIN and END lines belong together.
+   */
+  static blockRegExp =
+    /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END ([A-Z0-9 ]+)-----/g
+
+  /**
+   * @public
+   * @static
+   * @description Encode ArrayBuffer as a PEM block.
+   * @param {ArrayBuffer} buf DER data to be armoured.
+   * @param {string} label Label of the block, e.g. 'PUBLIC KEY'.
+   * @param {number} [lineLength=64] Number of base64 characters per line.
+   * @returns {string} PEM block.
+   */
+  static encode (buf, label, lineLength = 64) {
+    const b64 = Convert.arrayBufferToBase64(buf)
+    const lines = b64.match(new RegExp(`.{1,${lineLength}}`, 'g')) || []
+    return [
+      `-----BEGIN ${label}-----`,
+      ...lines,
+      `-----END ${label}-----`,
+      ''
+    ].join('\n')
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Decode every PEM block found in a string.
+   * @param {string} str String containing one or more PEM blocks.
+   * @returns {Object[]} Array of objects with label and data (ArrayBuffer)
+   * in the order of appearance.
+   */
+  static decodeAll (str) {
+    const blocks = []
+    for (const match of str.matchAll(this.blockRegExp)) {
+      if (match[1] !== match[3]) {
+        throw new Error(
+          `PEM block "${match[1]}" is terminated by "${match[3]}"`
+        )
+      }
+      const body = match[2].replace(/\s+/g, '')
+      if (!/^[A-Za-z0-9+/]*={0,2}$/.test(body)) {
+        throw new Error(`PEM block "${match[1]}" has invalid base64 body`)
+      }
+      blocks.push({
+        label: match[1],
+        data: Convert.base64ToArrayBuffer(body)
+      })
+    }
+    return blocks
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Decode the first PEM block with one of the given labels.
+   * @param {string} str String containing PEM block(s).
+   * @param {string|string[]} labels Acceptable label(s) of the block.
+   * @returns {Object} Object with label and data (ArrayBuffer) of the first
+   * matching block.
+   */
+  static decode (str, labels) {
+    if (!Array.isArray(labels)) { labels = [labels] }
+    const block = this.decodeAll(str).find(b => labels.includes(b.label))
+    if (!block) {
+      throw new Error(`No PEM block labelled ${labels.join(' or ')} found`)
+    }
+    return block
+  }
+}
+
+export {
+  Pem
+}
@@ -20,6 +20,24 @@
 import {
   Convert
 } from './convert.js'
+import {
+  Der
+} from './der.js'
+import {
+  Jwk
+} from './jwk.js'
+import {
+  OpenSsh
+} from './openssh.js'
+import {
+  Pbes2
+} from './pbes2.js'
+import {
+  Pem
+} from './pem.js'
+import {
+  SymmetricKey
+} from './symmetrickey.js'
 import {
   BigInteger
 } from './tom_vu/BigInteger.js'
@@ -44,7 +62,8 @@ import {
  * which is convenient for conversions and merging ECDH and ECDSA together.
  *
  * PrivKey is capable of the following:
- * - Import and export to/from pkcs8, base64, hex, jwk, raw, d.
+ * - Import and export to/from pkcs8 (plain and password encrypted), sec1,
+ *   openssh, pem, base64, hex, jwk, raw, d.
  * - Import from seed, random.
  *
  * crypto.js allows to sign and decrypt with it.
@@ -93,15 +112,91 @@ class PrivKey {
     '4FE342E2FE1A7F9B8EE7EB4A7C0F9E162BCE33576B315ECECBB6406837BF51F5'
   )
 
+  /**
+   * @private
+   * @static
+   * @description Order of G point.
+   */
+  static N = new BigInteger(
+    'FFFFFFFF00000000FFFFFFFFFFFFFFFFBCE6FAADA7179E84F3B9CAC2FC632551',
+    16
+  )
+
+  /**
+   * @private
+   * @static
+   * @description OID of id-ecPublicKey algorithm (RFC 5480).
+   */
+  static ecPublicKeyOid = '1.2.840.10045.2.1'
+
+  /**
+   * @private
+   * @static
+   * @description OID of prime256v1 (secp256r1) named curve.
+   */
+  static prime256v1Oid = '1.2.840.10045.3.1.7'
+
+  /**
+   * @private
+   * @static
+   * @description JWK alg values PrivKey and PubKey export.
+   */
+  static jwkAlgs = ['ES256', 'ECDH-ES']
+
+  /**
+   * @private
+   * @static
+   * @description JWK alg values accepted on import: all JWA (RFC 7518)
+   * algorithms usable with P-256 keys, kept as metadata.
+   */
+  static jwkImportAlgs = [
+    'ES256',
+    'ECDH-ES',
+    'ECDH-ES+A128KW',
+    'ECDH-ES+A192KW',
+    'ECDH-ES+A256KW'
+  ]
+
+  /**
+   * @private
+   * @static
+   * @description JWK use values.
+   */
+  static jwkUses = ['sig', 'enc']
+
+  /**
+   * @private
+   * @static
+   * @description Formats PrivKey can be wrapped in.
+   */
+  static wrapFormats = ['pkcs8', 'jwk']
+
   /**
    * @constructor
    * @public
-   * @param {CryptoKey} ecdh Generated ECDH private key (extractable).
-   * @param {CryptoKey} ecdsa Generated ECDSA private key (extractable).
+   * @param {CryptoKey} ecdh Generated ECDH private key (extractable unless
+   * unwrapped).
+   * @param {CryptoKey} ecdsa Generated ECDSA private key (extractable unless
+   * unwrapped).
+   * @param {Object} [metadata={}] JWK kid, alg and use to be kept with the
+   * key.
+   * @param {Uint8Array} [pub] 65 bytes of uncompressed public key; read from
+   * the exported key on first use if omitted.
    */
-  constructor (ecdh, ecdsa) {
+  constructor (ecdh, ecdsa, metadata = {}, pub = null) {
     this._ecdh = ecdh
     this._ecdsa = ecdsa
+    this._metadata = metadata
+    this._pub = pub
+  }
+
+  /**
+   * @public
+   * @description Obtain JWK metadata (kid, alg, use) kept with the key.
+   * @returns {Object} Copy of the metadata.
+   */
+  metadata () {
+    return { ...this._metadata }
   }
 
   /**
@@ -128,26 +223,279 @@ class PrivKey {
    * @public
    * @async
    * @static
-   * @description Import PrivKey from ArrayBuffer in PKCS8 format.
+   * @description Import PrivKey from ArrayBuffer in PKCS8 format. Optional
+   * public key, attributes and long-form lengths are supported; missing
+   * public key is derived in software.
    * @param {ArrayBuffer} buf ArrayBuffer in PKCS8 format.
    * @returns {PrivKey} Imported PrivKey.
    */
   static async fromPkcs8 (buf) {
-    const ecdh = await crypto.subtle.importKey(
-      'pkcs8',
-      buf,
-      this.ecdhAlgo,
-      true,
-      ['deriveKey']
+    const { d, pub } = this.parsePkcs8(buf)
+    return this.fromParts(d, pub)
+  }
+
+  /**
+   * @private
+   * @async
+   * @static
+   * @description Import PrivKey from d value and matching raw public key.
+   * @param {Uint8Array} d 32 bytes of d value in BigEndian.
+   * @param {Uint8Array} pub 65 bytes of uncompressed public key.
+   * @returns {PrivKey} Imported PrivKey.
+   */
+  static async fromParts (d, pub) {
+    const pkcs8 = this.buildPkcs8(d, pub)
+    let ecdh, ecdsa
+    try {
+      ecdh = await crypto.subtle.importKey(
+        'pkcs8',
+        pkcs8,
+        this.ecdhAlgo,
+        true,
+        ['deriveKey', 'deriveBits']
+      )
+      ecdsa = await crypto.subtle.importKey(
+        'pkcs8',
+        pkcs8,
+        this.ecdsaAlgo,
+        true,
+        ['sign']
+      )
+    } catch (e) {
+      // d is already range checked; engines validating pub fail here.
+      throw new Error('Public key does not match private key')
+    }
+    await this.checkPub(ecdsa, pub)
+    return new PrivKey(ecdh, ecdsa, {}, pub)
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Check d value and left pad it to 32 bytes.
+   * @param {ArrayBuffer|ArrayBufferView} dBuf d value in BigEndian.
+   * @param {bool} [exact=false] Reject d values shorter than 32 bytes instead
+   * of padding them.
+   * @returns {Uint8Array} 32 bytes of d value.
+   */
+  static normalizeD (dBuf, exact = false) {
+    const bytes = Der.bytes(dBuf)
+    if (bytes.length === 0 || bytes.length > 32 || (exact && bytes.length !== 32)) {
+      throw new Error(`P-256 private key must be 32 bytes, got ${bytes.length}`)
+    }
+    const bigIntD = new BigInteger(Convert.arrayBufferToHexString(bytes), 16)
+    if (bigIntD.signum() <= 0 || bigIntD.compareTo(this.N) >= 0) {
+      throw new Error('P-256 private key is out of range')
+    }
+    const d = new Uint8Array(32)
+    d.set(bytes, 32 - bytes.length)
+    return d
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Derive uncompressed public key from d value in software.
+   * @param {Uint8Array} d 32 bytes of d value in BigEndian.
+   * @returns {Uint8Array} 65 bytes of uncompressed public key.
+   */
+  static derivePub (d) {
+    const bigIntD = new BigInteger(Convert.arrayBufferToHexString(d), 16)
+    const p = this.G.multiply(bigIntD)
+    return new Uint8Array(
+      Convert.hexStringToArrayBuffer(this.G.curve.encodePointHex(p))
     )
-    const ecdsa = await crypto.subtle.importKey(
-      'pkcs8',
-      buf,
-      this.ecdsaAlgo,
-      true,
-      ['sign']
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Parse ECPrivateKey structure (RFC 5915, SEC1).
+   * @param {ArrayBuffer|ArrayBufferView} buf DER encoded ECPrivateKey.
+   * @returns {Object} Object with d (32 bytes) and pub (65 bytes or null if
+   * absent).
+   */
+  static parseEcPrivateKey (buf) {
+    const seq = Der.expect(Der.decode(buf), Der.tags.sequence, 'ECPrivateKey')
+    const [version, dElement, ...rest] = seq.children
+    if (Der.readNumber(version, 'ECPrivateKey version') !== 1) {
+      throw new Error('ECPrivateKey version must be 1')
+    }
+    const d = this.normalizeD(
+      Der.readOctetString(dElement, 'ECPrivateKey privateKey')
+    )
+    let pub = null
+    for (const element of rest) {
+      if (element.tag === Der.context(0)) {
+        const curve = Der.readOid(
+          element.children[0],
+          'ECPrivateKey parameters'
+        )
+        if (curve !== this.prime256v1Oid || element.children.length !== 1) {
+          throw new Error(`Unsupported EC curve ${curve}`)
+        }
+      } else if (element.tag === Der.context(1)) {
+        pub = Der.readBitString(element.children[0], 'ECPrivateKey publicKey')
+        if (pub.length !== 65 || pub[0] !== 0x04) {
+          throw new Error('ECPrivateKey publicKey must be uncompressed P-256 point')
+        }
+      } else {
+        throw new Error(
+          `Unexpected ECPrivateKey element 0x${element.tag.toString(16)}`
+        )
+      }
+    }
+    return { d, pub }
+  }
+
+  /**
+   * @private
+   * @async
+   * @static
+   * @description Make sure public key stored next to d value belongs to it,
+   * without software point multiplication: a signature of the private key
+   * has to verify under the public key.
+   * @param {CryptoKey} ecdsa ECDSA private key.
+   * @param {Uint8Array} pub 65 bytes of uncompressed public key.
+   */
+  static async checkPub (ecdsa, pub) {
+    const algo = { name: 'ECDSA', hash: 'SHA-256' }
+    const data = new Uint8Array(0)
+    let valid = false
+    try {
+      valid = await crypto.subtle.verify(
+        algo,
+        await crypto.subtle.importKey('raw', pub, this.ecdsaAlgo, false, ['verify']),
+        await crypto.subtle.sign(algo, ecdsa, data),
+        data
+      )
+    } catch (e) {}
+    if (!valid) {
+      throw new Error('Public key does not match private key')
+    }
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Build ECPrivateKey structure (RFC 5915, SEC1).
+   * @param {Uint8Array} d 32 bytes of d value in BigEndian.
+   * @param {Uint8Array} pub 65 bytes of uncompressed public key.
+   * @param {bool} [withParams=false] Whether to include curve parameters.
+   * @returns {Uint8Array} DER encoded ECPrivateKey.
+   */
+  static buildEcPrivateKey (d, pub, withParams = false) {
+    return Der.sequence([
+      Der.integer(1),
+      Der.octetString(d),
+      ...(withParams
+        ? [Der.encode(Der.context(0), Der.oid(this.prime256v1Oid))]
+        : []),
+      Der.encode(Der.context(1), Der.bitString(pub))
+    ])
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Parse P-256 PKCS8 PrivateKeyInfo/OneAsymmetricKey.
+   * @param {ArrayBuffer|ArrayBufferView} buf DER encoded PKCS8.
+   * @returns {Object} Object with d (32 bytes) and pub (65 bytes, derived in
+   * software if absent).
+   */
+  static parsePkcs8 (buf) {
+    const seq = Der.expect(Der.decode(buf), Der.tags.sequence, 'PKCS8')
+    const [version, algorithm, privateKey, ...rest] = seq.children
+    if (Der.readNumber(version, 'PKCS8 version') > 1) {
+      throw new Error('Unsupported PKCS8 version')
+    }
+    const algo = Der.expect(
+      algorithm,
+      Der.tags.sequence,
+      'PKCS8 privateKeyAlgorithm'
+    ).children
+    const algoOid = Der.readOid(algo[0], 'PKCS8 algorithm')
+    if (algoOid !== this.ecPublicKeyOid) {
+      throw new Error(`Unsupported PKCS8 algorithm ${algoOid}`)
+    }
+    const curve = Der.readOid(algo[1], 'PKCS8 algorithm parameters')
+    if (curve !== this.prime256v1Oid || algo.length !== 2) {
+      throw new Error(`Unsupported EC curve ${curve}`)
+    }
+    const { d, pub } = this.parseEcPrivateKey(
+      Der.readOctetString(privateKey, 'PKCS8 privateKey')
     )
-    return new PrivKey(ecdh, ecdsa)
+    for (const element of rest) {
+      if (element.tag !== Der.context(0) && element.tag !== Der.context(1, false)) {
+        throw new Error(`Unexpected PKCS8 element 0x${element.tag.toString(16)}`)
+      }
+    }
+    return { d, pub: pub || this.derivePub(d) }
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Build P-256 SubjectPublicKeyInfo.
+   * @param {Uint8Array} pub 65 bytes of uncompressed public key.
+   * @returns {ArrayBuffer} DER encoded SPKI.
+   */
+  static buildSpki (pub) {
+    return Der.sequence([
+      Der.sequence([
+        Der.oid(this.ecPublicKeyOid),
+        Der.oid(this.prime256v1Oid)
+      ]),
+      Der.bitString(pub)
+    ]).buffer
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description Compute SHA-256 fingerprint of SPKI.
+   * @param {ArrayBuffer} spki DER encoded SPKI.
+   * @param {string} [encoding='hex'] 'hex', 'base64', 'colon' (upper case hex
+   * bytes separated with colons) or 'raw'.
+   * @returns {string|ArrayBuffer} Encoded fingerprint.
+   */
+  static async fingerprintOf (spki, encoding = 'hex') {
+    const digest = await crypto.subtle.digest('SHA-256', spki)
+    switch (encoding) {
+      case 'hex':
+        return Convert.arrayBufferToHexString(digest)
+      case 'base64':
+        return Convert.arrayBufferToBase64(digest)
+      case 'colon':
+        return Convert.arrayBufferToHexString(digest)
+          .toUpperCase()
+          .match(/../g)
+          .join(':')
+      case 'raw':
+        return digest
+      default:
+        throw new Error(`Unsupported fingerprint encoding ${encoding}`)
+    }
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Build canonical P-256 PKCS8 accepted by crypto.subtle.
+   * @param {Uint8Array} d 32 bytes of d value in BigEndian.
+   * @param {Uint8Array} pub 65 bytes of uncompressed public key.
+   * @returns {ArrayBuffer} DER encoded PKCS8.
+   */
+  static buildPkcs8 (d, pub) {
+    return Der.sequence([
+      Der.integer(0),
+      Der.sequence([
+        Der.oid(this.ecPublicKeyOid),
+        Der.oid(this.prime256v1Oid)
+      ]),
+      Der.octetString(this.buildEcPrivateKey(d, pub))
+    ]).buffer
   }
 
   /**
@@ -174,18 +522,346 @@ class PrivKey {
     return this.fromPkcs8(Convert.hexStringToArrayBuffer(hex))
   }
 
-  static pkcs8DHeader = new Uint8Array([
-    0x30, 0x81, 0x87, 0x02, 0x01, 0x00, 0x30,
-    0x13, 0x06, 0x07, 0x2a, 0x86, 0x48, 0xce,
-    0x3d, 0x02, 0x01, 0x06, 0x08, 0x2a, 0x86,
-    0x48, 0xce, 0x3d, 0x03, 0x01, 0x07, 0x04,
-    0x6d, 0x30, 0x6b, 0x02, 0x01, 0x01, 0x04,
-    0x20
-  ])
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import PrivKey from the first "PRIVATE KEY" (PKCS8),
+   * "EC PRIVATE KEY" (SEC1), "ENCRYPTED PRIVATE KEY" (PKCS8 PBES2) or
+   * "OPENSSH PRIVATE KEY" PEM block.
+   * @param {string} pem String containing PEM encoded private key.
+   * @param {string|ArrayBuffer} [password] Password for encrypted block.
+   * @returns {PrivKey} Imported PrivKey.
+   */
+  static async fromPem (pem, password) {
+    const { d, pub } = await this.parsePem(pem, password)
+    return this.fromParts(d, pub)
+  }
+
+  /**
+   * @private
+   * @async
+   * @static
+   * @description Parse the first "PRIVATE KEY" (PKCS8), "EC PRIVATE KEY"
+   * (SEC1), "ENCRYPTED PRIVATE KEY" (PKCS8 PBES2) or "OPENSSH PRIVATE KEY"
+   * PEM block.
+   * @param {string} pem String containing PEM encoded private key.
+   * @param {string|ArrayBuffer} [password] Password for encrypted block.
+   * @returns {Object} Object with d (32 bytes) and pub (65 bytes).
+   */
+  static async parsePem (pem, password) {
+    const block = Pem.decode(
+      pem,
+      [
+        'PRIVATE KEY',
+        'EC PRIVATE KEY',
+        'ENCRYPTED PRIVATE KEY',
+        'OPENSSH PRIVATE KEY'
+      ]
+    )
+    switch (block.label) {
+      case 'EC PRIVATE KEY':
+        return this.parseSec1(block.data)
+      case 'ENCRYPTED PRIVATE KEY':
+        return this.parseEncryptedPkcs8(block.data, password)
+      case 'OPENSSH PRIVATE KEY':
+        return this.parseOpenSsh(block.data, password)
+      default:
+        return this.parsePkcs8(block.data)
+    }
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import PrivKey from password encrypted PKCS8 (PBES2 with
+   * PBKDF2 and AES-CBC/AES-GCM).
+   * @param {ArrayBuffer} buf DER encoded EncryptedPrivateKeyInfo.
+   * @param {string|ArrayBuffer} password Password as string (UTF-8) or bytes.
+   * @returns {PrivKey} Imported PrivKey.
+   */
+  static async fromEncryptedPkcs8 (buf, password) {
+    const { d, pub } = await this.parseEncryptedPkcs8(buf, password)
+    return this.fromParts(d, pub)
+  }
 
-  static pkcs8XYHeader = new Uint8Array([
-    0xa1, 0x44, 0x03, 0x42, 0x00, 0x04
-  ])
+  /**
+   * @private
+   * @static
+   * @description Check key-encryption key and wrapping format and build
+   * WebCrypto wrapping algorithm.
+   * @param {SymmetricKey} kek AES-KW or AES-GCM key-encryption key.
+   * @param {string} format 'pkcs8' or 'jwk'.
+   * @param {Uint8Array} [iv] AES-GCM iv.
+   * @returns {string|Object} WebCrypto wrapping algorithm.
+   */
+  static wrapAlgorithm (kek, format, iv) {
+    if (!(kek instanceof SymmetricKey)) {
+      throw new Error('Key-encryption key must be SymmetricKey')
+    }
+    if (!this.wrapFormats.includes(format)) {
+      throw new Error(`Unsupported wrapping format ${format}`)
+    }
+    switch (kek.algorithm()) {
+      case 'AES-KW':
+        // RFC 3394 needs multiple of 8 bytes; P-256 PKCS8 has 138 bytes.
+        if (format === 'pkcs8') {
+          throw new Error('AES-KW cannot wrap PKCS8, use jwk format or AES-GCM')
+        }
+        return 'AES-KW'
+      case 'AES-GCM':
+        return {
+          name: 'AES-GCM',
+          iv,
+          additionalData: (new TextEncoder()).encode(format),
+          tagLength: 128
+        }
+      default:
+        throw new Error(`Unsupported key-encryption key ${kek.algorithm()}`)
+    }
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Default wrapping format for key-encryption key.
+   * @param {SymmetricKey} kek Key-encryption key.
+   * @returns {string} 'jwk' for AES-KW, 'pkcs8' otherwise.
+   */
+  static wrapFormat (kek) {
+    return kek instanceof SymmetricKey && kek.algorithm() === 'AES-KW'
+      ? 'jwk'
+      : 'pkcs8'
+  }
+
+  /**
+   * @private
+   * @async
+   * @static
+   * @description Wrap single crypto.subtle key.
+   * @param {CryptoKey} key ECDH or ECDSA private key.
+   * @param {SymmetricKey} kek Key-encryption key.
+   * @param {string} format 'pkcs8' or 'jwk'.
+   * @returns {ArrayBuffer} Wrapped key, prefixed with iv for AES-GCM.
+   */
+  static async wrapKey (key, kek, format) {
+    const iv = crypto.getRandomValues(new Uint8Array(12))
+    const algorithm = this.wrapAlgorithm(kek, format, iv)
+    const wrapped = await crypto.subtle.wrapKey(
+      format,
+      key,
+      kek.key(),
+      algorithm
+    )
+    return algorithm === 'AES-KW' ? wrapped : Convert.concat(iv, wrapped)
+  }
+
+  /**
+   * @private
+   * @async
+   * @static
+   * @description Unwrap single crypto.subtle key wrapped with wrapKey.
+   * @param {Uint8Array} wrapped Wrapped key.
+   * @param {SymmetricKey} kek Key-encryption key.
+   * @param {string} format 'pkcs8' or 'jwk'.
+   * @param {Object} algo PrivKey.ecdhAlgo or PrivKey.ecdsaAlgo.
+   * @param {string[]} usages Key usages.
+   * @param {bool} extractable Whether the key can be exported.
+   * @returns {CryptoKey} Unwrapped key.
+   */
+  static async unwrapKey (wrapped, kek, format, algo, usages, extractable) {
+    let iv
+    if (kek.algorithm() === 'AES-GCM') {
+      if (wrapped.length < 12 + 16) {
+        throw new Error('Wrapped key is too short')
+      }
+      iv = wrapped.slice(0, 12)
+      wrapped = wrapped.subarray(12)
+    }
+    try {
+      return await crypto.subtle.unwrapKey(
+        format,
+        wrapped,
+        kek.key(),
+        this.wrapAlgorithm(kek, format, iv),
+        algo,
+        extractable,
+        usages
+      )
+    } catch (e) {
+      throw new Error('Cannot unwrap private key: wrong key-encryption key or corrupted data')
+    }
+  }
+
+  /**
+   * @private
+   * @async
+   * @static
+   * @description Recover public key of possibly non-extractable private key
+   * inside WebCrypto: ECDH with G yields x and the signature check picks one
+   * of the two points with that x.
+   * @param {CryptoKey} ecdh ECDH private key.
+   * @param {CryptoKey} ecdsa ECDSA private key with the same d.
+   * @returns {Uint8Array} 65 bytes of uncompressed public key.
+   */
+  static async recoverPub (ecdh, ecdsa) {
+    const curve = this.G.curve
+    const g = await crypto.subtle.importKey(
+      'raw',
+      Convert.hexStringToArrayBuffer(curve.encodePointHex(this.G)),
+      this.ecdhAlgo,
+      false,
+      []
+    )
+    const x = Convert.arrayBufferToHexString(
+      await crypto.subtle.deriveBits({ name: 'ECDH', public: g }, ecdh, 256)
+    )
+    for (const prefix of ['02', '03']) {
+      const pub = new Uint8Array(Convert.hexStringToArrayBuffer(
+        curve.encodePointHex(curve.decodePointHex(prefix + x))
+      ))
+      try {
+        await this.checkPub(ecdsa, pub)
+        return pub
+      } catch (e) {}
+    }
+    throw new Error('Unwrapped ECDH and ECDSA keys do not match')
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import PrivKey wrapped with wrap. Both ECDH and ECDSA keys
+   * are unwrapped inside WebCrypto and are not extractable by default, so
+   * the key material does not reach JS; the public key is recovered with
+   * WebCrypto as well.
+   * @param {ArrayBuffer} wrapped Wrapped key.
+   * @param {SymmetricKey} kek Key-encryption key used by wrap.
+   * @param {string} [format] Format used by wrap: 'jwk' for AES-KW and
+   * 'pkcs8' for AES-GCM by default.
+   * @param {bool} [extractable=false] Whether the unwrapped key can be
+   * exported (toPkcs8, toJwk etc.).
+   * @returns {PrivKey} Imported PrivKey.
+   */
+  static async unwrap (
+    wrapped,
+    kek,
+    format = this.wrapFormat(kek),
+    extractable = false
+  ) {
+    this.wrapAlgorithm(kek, format)
+    let ecdhWrapped = Der.bytes(wrapped)
+    let ecdsaWrapped = ecdhWrapped
+    if (format === 'jwk') {
+      try {
+        const parts = Der.expect(
+          Der.decode(wrapped),
+          Der.tags.sequence,
+          'wrapped keys'
+        ).children
+        ecdhWrapped = Der.readOctetString(parts[0], 'wrapped ECDH key')
+        ecdsaWrapped = Der.readOctetString(parts[1], 'wrapped ECDSA key')
+      } catch (e) {
+        throw new Error('Cannot unwrap private key: wrong key-encryption key or corrupted data')
+      }
+    }
+    const ecdh = await this.unwrapKey(
+      ecdhWrapped,
+      kek,
+      format,
+      this.ecdhAlgo,
+      ['deriveKey', 'deriveBits'],
+      extractable
+    )
+    const ecdsa = await this.unwrapKey(
+      ecdsaWrapped,
+      kek,
+      format,
+      this.ecdsaAlgo,
+      ['sign'],
+      extractable
+    )
+    return new PrivKey(ecdh, ecdsa, {}, await this.recoverPub(ecdh, ecdsa))
+  }
+
+  /**
+   * @private
+   * @async
+   * @static
+   * @description Decrypt and parse password encrypted PKCS8.
+   * @param {ArrayBuffer} buf DER encoded EncryptedPrivateKeyInfo.
+   * @param {string|ArrayBuffer} password Password as string (UTF-8) or bytes.
+   * @returns {Object} Object with d (32 bytes) and pub (65 bytes).
+   */
+  static async parseEncryptedPkcs8 (buf, password) {
+    if (password === undefined || password === null) {
+      throw new Error('Password is required for encrypted private key')
+    }
+    const pkcs8 = await Pbes2.decrypt(buf, password)
+    try {
+      return this.parsePkcs8(pkcs8)
+    } catch (e) {
+      throw new Error('Cannot decrypt private key: wrong password or corrupted data')
+    }
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import PrivKey from "OPENSSH PRIVATE KEY" (openssh-key-v1)
+   * PEM block, either unencrypted or bcrypt_pbkdf protected.
+   * @param {string} pem String containing OpenSSH private key.
+   * @param {string|ArrayBuffer} [passphrase] Passphrase of protected key.
+   * @returns {PrivKey} Imported PrivKey.
+   */
+  static async fromOpenSsh (pem, passphrase) {
+    const block = Pem.decode(pem, 'OPENSSH PRIVATE KEY')
+    const { d, pub } = await this.parseOpenSsh(block.data, passphrase)
+    return this.fromParts(d, pub)
+  }
+
+  /**
+   * @private
+   * @async
+   * @static
+   * @description Parse openssh-key-v1 private key.
+   * @param {ArrayBuffer} buf Binary content of "OPENSSH PRIVATE KEY" block.
+   * @param {string|ArrayBuffer} [passphrase] Passphrase of protected key.
+   * @returns {Object} Object with d (32 bytes) and pub (65 bytes).
+   */
+  static async parseOpenSsh (buf, passphrase) {
+    const { d, pub } = await OpenSsh.decodePrivate(buf, passphrase)
+    return { d: this.normalizeD(d), pub }
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import PrivKey from SEC1 ECPrivateKey (RFC 5915), as emitted
+   * by `openssl ecparam -genkey`. Missing public key is derived in software.
+   * @param {ArrayBuffer} buf DER encoded ECPrivateKey.
+   * @returns {PrivKey} Imported PrivKey.
+   */
+  static async fromSec1 (buf) {
+    const { d, pub } = this.parseSec1(buf)
+    return this.fromParts(d, pub)
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Parse SEC1 ECPrivateKey deriving public key if absent.
+   * @param {ArrayBuffer|ArrayBufferView} buf DER encoded ECPrivateKey.
+   * @returns {Object} Object with d (32 bytes) and pub (65 bytes).
+   */
+  static parseSec1 (buf) {
+    const { d, pub } = this.parseEcPrivateKey(buf)
+    return { d, pub: pub || this.derivePub(d) }
+  }
 
   /**
    * @public
@@ -196,43 +872,129 @@ class PrivKey {
    * @returns {PrivKey} Imported PrivKey.
    */
   static async fromRaw (raw) {
-    const rawArray = new Uint8Array(raw)
-    const pkcs8 = new Uint8Array(
-      this.pkcs8DHeader.length + this.pkcs8XYHeader.length + 96
-    )
-    pkcs8.set(this.pkcs8DHeader, 0)
-    pkcs8.set(rawArray.subarray(65, 97), 36)
-    pkcs8.set(this.pkcs8XYHeader, 68)
-    pkcs8.set(rawArray.subarray(1, 65), 74)
-    return PrivKey.fromPkcs8(pkcs8)
+    const { d, pub } = this.parseRaw(raw)
+    return this.fromParts(d, pub)
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Split RAW (uncompressed public key followed by d) into its
+   * parts.
+   * @param {ArrayBuffer|ArrayBufferView} raw PrivKey exported to RAW.
+   * @returns {Object} Object with d (32 bytes) and pub (65 bytes).
+   */
+  static parseRaw (raw) {
+    const rawArray = Der.bytes(raw)
+    if (rawArray.length !== 97 || rawArray[0] !== 0x04) {
+      throw new Error('RAW P-256 private key must be 97 bytes starting with 0x04')
+    }
+    return {
+      d: this.normalizeD(rawArray.subarray(65, 97), true),
+      pub: rawArray.slice(0, 65)
+    }
   }
 
   /**
    * @public
    * @async
    * @static
-   * @description Import PrivKey from JWK.
+   * @description Import PrivKey from JWK. The JWK is not modified; kid, alg
+   * and use are kept with the key and exported back by toJwk.
    * @param {Object} jwk Object representing JWK.
    * @returns {PrivKey} Imported PrivKey.
    */
   static async fromJwk (jwk) {
-    jwk.key_ops = ['deriveKey']
+    const clean = this.checkJwk(jwk, true)
     const ecdh = await crypto.subtle.importKey(
       'jwk',
-      jwk,
+      { ...clean, key_ops: ['deriveKey', 'deriveBits'] },
       this.ecdhAlgo,
       true,
-      ['deriveKey']
+      ['deriveKey', 'deriveBits']
     )
-    jwk.key_ops = ['sign']
     const ecdsa = await crypto.subtle.importKey(
       'jwk',
-      jwk,
+      { ...clean, key_ops: ['sign'] },
       this.ecdsaAlgo,
       true,
       ['sign']
     )
-    return new PrivKey(ecdh, ecdsa)
+    const pub = Convert.concat(
+      new Uint8Array([0x04]),
+      Convert.urlBase64ToArrayBuffer(clean.x),
+      Convert.urlBase64ToArrayBuffer(clean.y)
+    )
+    return new PrivKey(
+      ecdh,
+      ecdsa,
+      this.jwkMetadata(jwk, this.jwkImportAlgs),
+      new Uint8Array(pub)
+    )
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Strictly check P-256 JWK and copy its key material.
+   * @param {Object} jwk Object representing JWK.
+   * @param {bool} withD Whether d is required (private JWK) or dropped.
+   * @returns {Object} New JWK with kty, crv, x, y, ext and optionally d.
+   */
+  static checkJwk (jwk, withD) {
+    if (!jwk || jwk.kty !== 'EC') {
+      throw new Error('JWK kty must be "EC"')
+    }
+    if (jwk.crv !== 'P-256') {
+      throw new Error('JWK crv must be "P-256"')
+    }
+    const field = name => {
+      // 43 base64url characters without padding encode exactly 32 bytes.
+      if (typeof jwk[name] !== 'string' || !/^[A-Za-z0-9_-]{43}$/.test(jwk[name])) {
+        throw new Error(`JWK ${name} must be 32 bytes base64url encoded`)
+      }
+      return jwk[name]
+    }
+    const clean = {
+      kty: 'EC',
+      crv: 'P-256',
+      x: field('x'),
+      y: field('y'),
+      ext: true
+    }
+    if (withD) { clean.d = field('d') }
+    return clean
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Check and extract kid, alg and use of JWK.
+   * @param {Object} jwk Object representing JWK (or export parameters).
+   * @param {string[]} [algs=PrivKey.jwkAlgs] Acceptable alg values.
+   * @returns {Object} Object with present kid, alg and use.
+   */
+  static jwkMetadata (jwk, algs = this.jwkAlgs) {
+    const metadata = {}
+    if (jwk.kid !== undefined) {
+      if (typeof jwk.kid !== 'string') {
+        throw new Error('JWK kid must be a string')
+      }
+      metadata.kid = jwk.kid
+    }
+    if (jwk.alg !== undefined) {
+      if (!algs.includes(jwk.alg)) {
+        throw new Error(`JWK alg must be one of ${algs.join(', ')}`)
+      }
+      metadata.alg = jwk.alg
+    }
+    if (jwk.use !== undefined) {
+      if (!this.jwkUses.includes(jwk.use)) {
+        throw new Error(`JWK use must be one of ${this.jwkUses.join(', ')}`)
+      }
+      metadata.use = jwk.use
+    }
+    return metadata
   }
 
   /**
@@ -244,24 +1006,8 @@ class PrivKey {
    * @returns {PrivKey} Imported PrivKey.
    */
   static async fromD (dBuf) {
-    const bigIntD = new BigInteger(
-      Convert.arrayBufferToHexString(dBuf),
-      16
-    )
-    const p = this.G.multiply(bigIntD)
-    const bigIntX = p.getX().toBigInteger()
-    const rawX = Convert.hexStringToArrayBuffer(bigIntX.toString(16))
-    const bigIntY = p.getY().toBigInteger()
-    const rawY = Convert.hexStringToArrayBuffer(bigIntY.toString(16))
-    const pkcs8 = new Uint8Array(
-      this.pkcs8DHeader.length + this.pkcs8XYHeader.length + 96
-    )
-    pkcs8.set(this.pkcs8DHeader, 0)
-    pkcs8.set(new Uint8Array(dBuf), 36)
-    pkcs8.set(this.pkcs8XYHeader, 68)
-    pkcs8.set(new Uint8Array(rawX), 74)
-    pkcs8.set(new Uint8Array(rawY), 106)
-    return this.fromPkcs8(pkcs8.buffer)
+    const d = this.normalizeD(dBuf, true)
+    return this.fromParts(d, this.derivePub(d))
   }
 
   /**
@@ -302,14 +1048,81 @@ class PrivKey {
     return this.fromJwk(jwk)
   }
 
+  /**
+   * @private
+   * @async
+   * @description Obtain uncompressed public key of this PrivKey. It is
+   * cached, so the key is exported at most once.
+   * @returns {Uint8Array} 65 bytes of uncompressed public key.
+   */
+  async publicRaw () {
+    if (!this._pub) {
+      this._pub = PrivKey.parsePkcs8(await this.toPkcs8()).pub
+    }
+    return this._pub
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Check whether other PrivKey (or KeyPair) holds the same key.
+   * Only public parts are compared.
+   * @param {PrivKey|KeyPair} other Key to compare with.
+   * @returns {bool} Comparison result.
+   */
+  async equals (other) {
+    if (other && typeof other.priv === 'function') { other = other.priv() }
+    if (!(other instanceof PrivKey)) { return false }
+    const a = await this.publicRaw()
+    const b = await other.publicRaw()
+    return a.every((byte, i) => byte === b[i])
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Compute SHA-256 fingerprint of public part in SPKI format.
+   * @param {string} [encoding='hex'] 'hex', 'base64', 'colon' or 'raw'.
+   * @returns {string|ArrayBuffer} Fingerprint.
+   */
+  async fingerprint (encoding = 'hex') {
+    return PrivKey.fingerprintOf(
+      PrivKey.buildSpki(await this.publicRaw()),
+      encoding
+    )
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Compute RFC 7638 JWK thumbprint of public part.
+   * @returns {string} base64url encoded SHA-256 thumbprint.
+   */
+  async thumbprint () {
+    const pub = await this.publicRaw()
+    return Jwk.thumbprint({
+      kty: 'EC',
+      crv: 'P-256',
+      x: Convert.arrayBufferToUrlBase64(pub.slice(1, 33).buffer),
+      y: Convert.arrayBufferToUrlBase64(pub.slice(33).buffer)
+    })
+  }
+
   /**
    * @public
    * @async
    * @description Export PrivKey to JWK.
+   * @param {Object} [params={}] kid, alg ('ES256' or 'ECDH-ES') and use
+   * ('sig' or 'enc') to be included. They override metadata kept with the
+   * key.
    * @returns {Object} Exported PrivKey to JWK.
    */
-  async toJwk () {
-    return crypto.subtle.exportKey('jwk', this.ecdh())
+  async toJwk (params = {}) {
+    return {
+      ...(await crypto.subtle.exportKey('jwk', this.ecdh())),
+      ...this._metadata,
+      ...PrivKey.jwkMetadata(params)
+    }
   }
 
   /**
@@ -344,6 +1157,118 @@ class PrivKey {
     return Convert.arrayBufferToBase64(pkcs8)
   }
 
+  /**
+   * @public
+   * @async
+   * @description Export PrivKey to "PRIVATE KEY" PEM block.
+   * @returns {string} Exported PrivKey to PEM.
+   */
+  async toPem () {
+    return Pem.encode(await this.toPkcs8(), 'PRIVATE KEY')
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export PrivKey to password encrypted PKCS8 (PBES2 with
+   * PBKDF2 or scrypt and AES-CBC/AES-GCM).
+   * @param {string|ArrayBuffer} password Password as string (UTF-8) or bytes.
+   * @param {Object} [options] Encryption options.
+   * @param {string} [options.cipher='AES-256-CBC'] One of AES-128-CBC,
+   * AES-256-CBC, AES-128-GCM, AES-256-GCM.
+   * @param {string} [options.kdf='PBKDF2'] 'PBKDF2' or 'scrypt'.
+   * @param {string} [options.hash='SHA-256'] PBKDF2 PRF hash.
+   * @param {number} [options.iterations=100000] PBKDF2 iteration count.
+   * @param {number} [options.cost=16384] scrypt CPU/memory cost (N).
+   * @param {number} [options.blockSize=8] scrypt block size (r).
+   * @param {number} [options.parallelization=1] scrypt parallelization (p).
+   * @param {number} [options.saltLength=16] KDF salt length in bytes.
+   * @returns {ArrayBuffer} DER encoded EncryptedPrivateKeyInfo.
+   */
+  async toEncryptedPkcs8 (password, options = {}) {
+    return Pbes2.encrypt(await this.toPkcs8(), password, options)
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export PrivKey encrypted under key-encryption key with
+   * crypto.subtle.wrapKey, so wrapping never exposes the key material to JS.
+   * The key-encryption key can be derived from ECDH agreement with
+   * Crypto.deriveSymmetricKey (algorithm 'AES-KW' or 'AES-GCM') or given as
+   * SymmetricKey. AES-GCM output is iv (12 bytes) || ciphertext with tag.
+   * A wrapped JWK keeps key_ops of its key, so in 'jwk' format ECDH and ECDSA
+   * keys are wrapped separately into DER SEQUENCE of two OCTET STRINGs.
+   * @param {SymmetricKey} kek AES-KW (RFC 3394) or AES-GCM key-encryption
+   * key.
+   * @param {string} [format] 'pkcs8' or 'jwk'. Defaults to 'jwk' for AES-KW,
+   * which cannot wrap P-256 PKCS8, and to 'pkcs8' for AES-GCM.
+   * @returns {ArrayBuffer} Wrapped key.
+   */
+  async wrap (kek, format = PrivKey.wrapFormat(kek)) {
+    if (format !== 'jwk') {
+      return PrivKey.wrapKey(this.ecdh(), kek, format)
+    }
+    return Der.sequence([
+      Der.octetString(await PrivKey.wrapKey(this.ecdh(), kek, format)),
+      Der.octetString(await PrivKey.wrapKey(this.ecdsa(), kek, format))
+    ]).buffer
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export PrivKey to "ENCRYPTED PRIVATE KEY" PEM block.
+   * @param {string|ArrayBuffer} password Password as string (UTF-8) or bytes.
+   * @param {Object} [options] Encryption options, see toEncryptedPkcs8.
+   * @returns {string} Exported PrivKey to encrypted PEM.
+   */
+  async toEncryptedPem (password, options = {}) {
+    return Pem.encode(
+      await this.toEncryptedPkcs8(password, options),
+      'ENCRYPTED PRIVATE KEY'
+    )
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export PrivKey to SEC1 ECPrivateKey (RFC 5915) with curve
+   * parameters and public key.
+   * @returns {ArrayBuffer} Exported PrivKey to SEC1.
+   */
+  async toSec1 () {
+    const { d, pub } = PrivKey.parsePkcs8(await this.toPkcs8())
+    return PrivKey.buildEcPrivateKey(d, pub, true).buffer
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export PrivKey to "EC PRIVATE KEY" PEM block.
+   * @returns {string} Exported PrivKey to SEC1 PEM.
+   */
+  async toSec1Pem () {
+    return Pem.encode(await this.toSec1(), 'EC PRIVATE KEY')
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export PrivKey to "OPENSSH PRIVATE KEY" PEM block.
+   * @param {Object} [options] Export options.
+   * @param {string|ArrayBuffer} [options.passphrase] Passphrase; the key is
+   * stored unencrypted if omitted.
+   * @param {string} [options.comment=''] Key comment.
+   * @param {string} [options.cipher='aes256-ctr'] aes256-ctr or aes128-ctr.
+   * @param {number} [options.rounds=16] bcrypt_pbkdf rounds, at most 1000.
+   * @returns {string} Exported PrivKey to OpenSSH format.
+   */
+  async toOpenSsh (options = {}) {
+    const { d, pub } = PrivKey.parsePkcs8(await this.toPkcs8())
+    return OpenSsh.encodePrivate(d, pub, options)
+  }
+
   /**
    * @public
    * @async
@@ -362,11 +1287,10 @@ class PrivKey {
    * @returns {ArrayBuffer} Exported PrivKey.
    */
   async toRaw () {
-    const pkcs8 = new Uint8Array(await this.toPkcs8())
+    const { d, pub } = PrivKey.parsePkcs8(await this.toPkcs8())
     const raw = new Uint8Array(97)
-    raw[0] = 0x04
-    raw.set(pkcs8.subarray(74, 138), 1)
-    raw.set(pkcs8.subarray(36, 68), 65)
+    raw.set(pub, 0)
+    raw.set(d, 65)
     return raw.buffer
   }
 }
@@ -20,12 +20,28 @@
 import {
   Convert
 } from './convert.js'
+import {
+  Der
+} from './der.js'
+import {
+  Jwk
+} from './jwk.js'
+import {
+  OpenSsh
+} from './openssh.js'
+import {
+  Pem
+} from './pem.js'
+import {
+  PrivKey
+} from './privkey.js'
 
 /**
  * @classdesc PubKey is a wrapper for both ECDSA and ECDH crypto.subtle keys.
  *
- * It is capable of export/import operations to/from base64, hex, spki, jwk,
- * raw, coordinates. Additionally it can be imported from PrivKey.
+ * It is capable of export/import operations to/from base64, hex, spki, pem,
+ * jwk, openssh, raw (uncompressed and compressed), coordinates. Additionally
+ * it can be imported from PrivKey.
  *
  * crypto.js allows to verify and encrypt with it.
  */
@@ -55,10 +71,22 @@ class PubKey {
    * @public
    * @param {CryptoKey} ecdh Generated ECDH public key (extractable).
    * @param {CryptoKey} ecdsa Generated ECDSA public key (extractable).
+   * @param {Object} [metadata={}] JWK kid, alg and use to be kept with the
+   * key.
    */
-  constructor (ecdh, ecdsa) {
+  constructor (ecdh, ecdsa, metadata = {}) {
     this._ecdh = ecdh
     this._ecdsa = ecdsa
+    this._metadata = metadata
+  }
+
+  /**
+   * @public
+   * @description Obtain JWK metadata (kid, alg, use) kept with the key.
+   * @returns {Object} Copy of the metadata.
+   */
+  metadata () {
+    return { ...this._metadata }
   }
 
   /**
@@ -85,26 +113,41 @@ class PubKey {
    * @public
    * @async
    * @static
-   * @description Import PubKey from ArrayBuffer in SPKI format.
+   * @description Import PubKey from ArrayBuffer in SPKI format. Both
+   * uncompressed and compressed points are accepted.
    * @param {ArrayBuffer} pubBuf ArrayBuffer in SPKI format.
    * @returns {PubKey} Imported PubKey.
    */
   static async fromSpki (pubBuf) {
-    const ecdh = await crypto.subtle.importKey(
-      'spki',
-      pubBuf,
-      this.ecdhAlgo,
-      true,
-      []
-    )
-    const ecdsa = await crypto.subtle.importKey(
-      'spki',
-      pubBuf,
-      this.ecdsaAlgo,
-      true,
-      ['verify']
-    )
-    return new PubKey(ecdh, ecdsa)
+    return this.fromRaw(this.parseSpki(pubBuf))
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Parse P-256 SubjectPublicKeyInfo.
+   * @param {ArrayBuffer|ArrayBufferView} buf DER encoded SPKI.
+   * @returns {Uint8Array} Raw (uncompressed or compressed) point.
+   */
+  static parseSpki (buf) {
+    const seq = Der.expect(Der.decode(buf), Der.tags.sequence, 'SPKI')
+    if (seq.children.length !== 2) {
+      throw new Error('SPKI must contain algorithm and subjectPublicKey only')
+    }
+    const algo = Der.expect(
+      seq.children[0],
+      Der.tags.sequence,
+      'SPKI algorithm'
+    ).children
+    const algoOid = Der.readOid(algo[0], 'SPKI algorithm')
+    if (algoOid !== PrivKey.ecPublicKeyOid) {
+      throw new Error(`Unsupported SPKI algorithm ${algoOid}`)
+    }
+    const curve = Der.readOid(algo[1], 'SPKI algorithm parameters')
+    if (curve !== PrivKey.prime256v1Oid || algo.length !== 2) {
+      throw new Error(`Unsupported EC curve ${curve}`)
+    }
+    return Der.readBitString(seq.children[1], 'SPKI subjectPublicKey')
   }
 
   /**
@@ -136,40 +179,87 @@ class PubKey {
    * @public
    * @async
    * @static
-   * @description Import PubKey from JWK.
+   * @description Import PubKey from the first "PUBLIC KEY" PEM block.
+   * @param {string} pem String containing PEM encoded SPKI.
+   * @returns {PubKey} Imported PubKey.
+   */
+  static async fromPem (pem) {
+    return this.fromSpki(Pem.decode(pem, 'PUBLIC KEY').data)
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import every "PUBLIC KEY" PEM block of a bundle. Blocks
+   * with other labels are ignored.
+   * @param {string} pem String containing PEM encoded SPKI blocks.
+   * @returns {PubKey[]} Imported PubKeys in the order of appearance.
+   */
+  static async fromPemBundle (pem) {
+    return Promise.all(
+      Pem.decodeAll(pem)
+        .filter(block => block.label === 'PUBLIC KEY')
+        .map(block => this.fromSpki(block.data))
+    )
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import PubKey from OpenSSH authorized_keys line.
+   * @param {string} line "ecdsa-sha2-nistp256 AAAA... comment" line.
+   * @returns {PubKey} Imported PubKey.
+   */
+  static async fromOpenSsh (line) {
+    return this.fromRaw(OpenSsh.decodePublic(line).raw)
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import PubKey from JWK. The JWK is not modified, private
+   * part (if any) is ignored; kid, alg and use are kept with the key and
+   * exported back by toJwk.
    * @param {Object} jwk Object in JWK format.
    * @returns {PubKey} Imported PubKey.
    */
   static async fromJwk (jwk) {
-    delete jwk.d
-    jwk.key_ops = []
+    const clean = PrivKey.checkJwk(jwk, false)
     const ecdh = await crypto.subtle.importKey(
       'jwk',
-      jwk,
+      { ...clean, key_ops: [] },
       this.ecdhAlgo,
       true,
       []
     )
-    jwk.key_ops = ['verify']
     const ecdsa = await crypto.subtle.importKey(
       'jwk',
-      jwk,
+      { ...clean, key_ops: ['verify'] },
       this.ecdsaAlgo,
       true,
       ['verify']
     )
-    return new PubKey(ecdh, ecdsa)
+    return new PubKey(
+      ecdh,
+      ecdsa,
+      PrivKey.jwkMetadata(jwk, PrivKey.jwkImportAlgs)
+    )
   }
 
   /**
    * @public
    * @async
    * @static
-   * @description Import PubKey from raw.
+   * @description Import PubKey from raw. Both uncompressed (65 bytes, 0x04
+   * prefix) and compressed (33 bytes, 0x02/0x03 prefix) points are accepted.
    * @param {ArrayBuffer} raw Raw representation of a public key.
    * @returns {PubKey} Imported PubKey.
    */
   static async fromRaw (raw) {
+    if (raw.byteLength === 33) { return this.fromCompressed(raw) }
     const ecdh = await crypto.subtle.importKey(
       'raw',
       raw,
@@ -187,6 +277,30 @@ class PubKey {
     return new PubKey(ecdh, ecdsa)
   }
 
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import PubKey from compressed point. Y coordinate is
+   * recovered in software.
+   * @param {ArrayBuffer} buf 33 bytes: 0x02/0x03 prefix followed by x.
+   * @returns {PubKey} Imported PubKey.
+   */
+  static async fromCompressed (buf) {
+    const bytes = new Uint8Array(buf)
+    if (bytes.length !== 33 || (bytes[0] !== 0x02 && bytes[0] !== 0x03)) {
+      throw new Error('Compressed P-256 point must be 33 bytes with 0x02 or 0x03 prefix')
+    }
+    const curve = PrivKey.G.curve
+    const p = curve.decodePointHex(Convert.arrayBufferToHexString(bytes))
+    if (!p) {
+      throw new Error('Compressed point is not on P-256')
+    }
+    return this.fromRaw(
+      Convert.hexStringToArrayBuffer(curve.encodePointHex(p))
+    )
+  }
+
   /**
    * @public
    * @async
@@ -218,6 +332,44 @@ class PubKey {
     return PubKey.fromJwk(await priv.toJwk())
   }
 
+  /**
+   * @public
+   * @async
+   * @description Check whether other PubKey (or KeyPair's public key) is the
+   * same key.
+   * @param {PubKey|KeyPair} other Key to compare with.
+   * @returns {bool} Comparison result.
+   */
+  async equals (other) {
+    if (other && typeof other.pub === 'function') { other = other.pub() }
+    if (!(other instanceof PubKey)) { return false }
+    const a = new Uint8Array(await this.toRaw())
+    const b = new Uint8Array(await other.toRaw())
+    return a.every((byte, i) => byte === b[i])
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Compute SHA-256 fingerprint of SPKI.
+   * @param {string} [encoding='hex'] 'hex', 'base64', 'colon' (upper case hex
+   * bytes separated with colons) or 'raw'.
+   * @returns {string|ArrayBuffer} Fingerprint.
+   */
+  async fingerprint (encoding = 'hex') {
+    return PrivKey.fingerprintOf(await this.toSpki(), encoding)
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Compute RFC 7638 JWK thumbprint.
+   * @returns {string} base64url encoded SHA-256 thumbprint.
+   */
+  async thumbprint () {
+    return Jwk.thumbprint(await this.toJwk())
+  }
+
   /**
    * @public
    * @async
@@ -231,6 +383,20 @@ class PubKey {
     )
   }
 
+  /**
+   * @public
+   * @async
+   * @description Export PubKey to compressed point.
+   * @returns {ArrayBuffer} 33 bytes: 0x02/0x03 prefix followed by x.
+   */
+  async toCompressed () {
+    const raw = new Uint8Array(await this.toRaw())
+    const compressed = new Uint8Array(33)
+    compressed[0] = 0x02 | (raw[64] & 0x01)
+    compressed.set(raw.subarray(1, 33), 1)
+    return compressed.buffer
+  }
+
   /**
    * @public
    * @async
@@ -280,17 +446,42 @@ class PubKey {
     return Convert.arrayBufferToHexString(spki)
   }
 
+  /**
+   * @public
+   * @async
+   * @description Export PubKey to "PUBLIC KEY" PEM block.
+   * @returns {string} Export result.
+   */
+  async toPem () {
+    return Pem.encode(await this.toSpki(), 'PUBLIC KEY')
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export PubKey to OpenSSH authorized_keys line.
+   * @param {string} [comment=''] Comment appended to the line.
+   * @returns {string} Export result.
+   */
+  async toOpenSsh (comment = '') {
+    return OpenSsh.encodePublic(new Uint8Array(await this.toRaw()), comment)
+  }
+
   /**
    * @public
    * @async
    * @description Export PubKey to JWK.
+   * @param {Object} [params={}] kid, alg ('ES256' or 'ECDH-ES') and use
+   * ('sig' or 'enc') to be included. They override metadata kept with the
+   * key.
    * @returns {Object} Export result.
    */
-  async toJwk () {
-    return crypto.subtle.exportKey(
-      'jwk',
-      this.ecdh()
-    )
+  async toJwk (params = {}) {
+    return {
+      ...(await crypto.subtle.exportKey('jwk', this.ecdh())),
+      ...this._metadata,
+      ...PrivKey.jwkMetadata(params)
+    }
   }
 }
 
@@ -0,0 +1,211 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @classdesc Scrypt implements the scrypt memory-hard key derivation function
+ * (RFC 7914) on top of WebCrypto PBKDF2-HMAC-SHA256.
+ */
+class Scrypt {
+  /**
+   * @private
+   * @static
+   * @description Upper bound of memory used by ROMix (128 * r * N bytes),
+   * protecting decryption against hostile parameters.
+   */
+  static maxMemory = 256 * 1024 * 1024
+
+  /**
+   * @private
+   * @static
+   * @description Upper bounds of cost (N), block size (r) and
+   * parallelization (p), capping the CPU time an untrusted blob can demand.
+   */
+  static limits = {
+    cost: 1 << 20,
+    blockSize: 32,
+    parallelization: 16
+  }
+
+  /**
+   * @private
+   * @static
+   * @async
+   * @description PBKDF2-HMAC-SHA256 with a single iteration.
+   * @param {Uint8Array} password Password bytes.
+   * @param {Uint8Array} salt Salt.
+   * @param {number} length Number of bytes to derive.
+   * @returns {Uint8Array} Derived bytes.
+   */
+  static async pbkdf2 (password, salt, length) {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      password,
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    )
+    return new Uint8Array(await crypto.subtle.deriveBits(
+      {
+        name: 'PBKDF2',
+        salt,
+        iterations: 1,
+        hash: 'SHA-256'
+      },
+      key,
+      8 * length
+    ))
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Salsa20/8 core applied in place.
+   * @param {Uint32Array} b 16 words of input and output.
+   * @param {Uint32Array} x 16 words of scratch space.
+   */
+  static salsa (b, x) {
+    const rotl = (a, n) => (a << n) | (a >>> (32 - n))
+    x.set(b)
+    for (let i = 0; i < 8; i += 2) {
+      x[4] ^= rotl(x[0] + x[12], 7)
+      x[8] ^= rotl(x[4] + x[0], 9)
+      x[12] ^= rotl(x[8] + x[4], 13)
+      x[0] ^= rotl(x[12] + x[8], 18)
+      x[9] ^= rotl(x[5] + x[1], 7)
+      x[13] ^= rotl(x[9] + x[5], 9)
+      x[1] ^= rotl(x[13] + x[9], 13)
+      x[5] ^= rotl(x[1] + x[13], 18)
+      x[14] ^= rotl(x[10] + x[6], 7)
+      x[2] ^= rotl(x[14] + x[10], 9)
+      x[6] ^= rotl(x[2] + x[14], 13)
+      x[10] ^= rotl(x[6] + x[2], 18)
+      x[3] ^= rotl(x[15] + x[11], 7)
+      x[7] ^= rotl(x[3] + x[15], 9)
+      x[11] ^= rotl(x[7] + x[3], 13)
+      x[15] ^= rotl(x[11] + x[7], 18)
+      x[1] ^= rotl(x[0] + x[3], 7)
+      x[2] ^= rotl(x[1] + x[0], 9)
+      x[3] ^= rotl(x[2] + x[1], 13)
+      x[0] ^= rotl(x[3] + x[2], 18)
+      x[6] ^= rotl(x[5] + x[4], 7)
+      x[7] ^= rotl(x[6] + x[5], 9)
+      x[4] ^= rotl(x[7] + x[6], 13)
+      x[5] ^= rotl(x[4] + x[7], 18)
+      x[11] ^= rotl(x[10] + x[9], 7)
+      x[8] ^= rotl(x[11] + x[10], 9)
+      x[9] ^= rotl(x[8] + x[11], 13)
+      x[10] ^= rotl(x[9] + x[8], 18)
+      x[12] ^= rotl(x[15] + x[14], 7)
+      x[13] ^= rotl(x[12] + x[15], 9)
+      x[14] ^= rotl(x[13] + x[12], 13)
+      x[15] ^= rotl(x[14] + x[13], 18)
+    }
+    for (let i = 0; i < 16; i++) { b[i] += x[i] }
+  }
+
+  /**
+   * @private
+   * @static
+   * @description scryptBlockMix applied in place.
+   * @param {Uint32Array} b 32 * r words of input and output.
+   * @param {Uint32Array} y 32 * r words of scratch space.
+   * @param {Uint32Array} x 32 words of scratch space.
+   * @param {number} r Block size parameter.
+   */
+  static blockMix (b, y, x, r) {
+    const t = x.subarray(0, 16)
+    t.set(b.subarray(32 * r - 16))
+    for (let i = 0; i < 2 * r; i++) {
+      for (let k = 0; k < 16; k++) { t[k] ^= b[16 * i + k] }
+      this.salsa(t, x.subarray(16))
+      // Even blocks go to the first half of the output, odd to the second.
+      y.set(t, 16 * ((i >> 1) + (i & 1) * r))
+    }
+    b.set(y)
+  }
+
+  /**
+   * @private
+   * @static
+   * @description scryptROMix applied in place.
+   * @param {Uint8Array} block 128 * r bytes of input and output.
+   * @param {number} n CPU/memory cost parameter.
+   * @param {number} r Block size parameter.
+   */
+  static romix (block, n, r) {
+    const words = 32 * r
+    const view = new DataView(block.buffer, block.byteOffset, block.byteLength)
+    const b = new Uint32Array(words)
+    const y = new Uint32Array(words)
+    const x = new Uint32Array(32)
+    const v = new Uint32Array(words * n)
+    for (let i = 0; i < words; i++) { b[i] = view.getUint32(4 * i, true) }
+    for (let i = 0; i < n; i++) {
+      v.set(b, i * words)
+      this.blockMix(b, y, x, r)
+    }
+    for (let i = 0; i < n; i++) {
+      const j = (b[words - 16] & (n - 1)) * words
+      for (let k = 0; k < words; k++) { b[k] ^= v[j + k] }
+      this.blockMix(b, y, x, r)
+    }
+    for (let i = 0; i < words; i++) { view.setUint32(4 * i, b[i], true) }
+  }
+
+  /**
+   * @public
+   * @static
+   * @async
+   * @description Derive key material with scrypt.
+   * @param {string|ArrayBuffer|ArrayBufferView} password Password as string
+   * (UTF-8) or bytes.
+   * @param {ArrayBuffer|ArrayBufferView} salt Salt.
+   * @param {number} n CPU/memory cost parameter, power of 2.
+   * @param {number} r Block size parameter.
+   * @param {number} p Parallelization parameter.
+   * @param {number} length Number of bytes to derive.
+   * @returns {Uint8Array} Derived key material.
+   */
+  static async derive (password, salt, n, r, p, length) {
+    if (!Number.isInteger(n) || n < 2 || (n & (n - 1)) !== 0 ||
+        !Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1 ||
+        !Number.isInteger(length) || length < 1) {
+      throw new Error('scrypt: invalid parameters')
+    }
+    if (n > this.limits.cost || r > this.limits.blockSize ||
+        p > this.limits.parallelization) {
+      throw new Error('scrypt: parameters exceed limits')
+    }
+    if (128 * r * n > this.maxMemory || r * p >= 0x40000000) {
+      throw new Error('scrypt: parameters exceed memory limit')
+    }
+    const pass = typeof password === 'string'
+      ? (new TextEncoder()).encode(password)
+      : password
+    const blocks = await this.pbkdf2(pass, salt, 128 * r * p)
+    for (let i = 0; i < p; i++) {
+      this.romix(blocks.subarray(128 * r * i, 128 * r * (i + 1)), n, r)
+    }
+    return this.pbkdf2(pass, blocks, length)
+  }
+}
+
+export {
+  Scrypt
+}
@@ -0,0 +1,366 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @classdesc Sha2 is an incremental SHA-256, SHA-384 and SHA-512
+ * implementation (FIPS 180-4). crypto.subtle.digest needs the whole message
+ * at once, while Sha2 accepts it in chunks of any size, so arbitrarily large
+ * streams can be hashed in constant memory. 64-bit words of SHA-384/512 are
+ * kept as pairs of 32-bit halves (high, low).
+ */
+class Sha2 {
+  /**
+   * @private
+   * @static
+   * @description SHA-256 round constants.
+   */
+  static k256 = new Int32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5,
+    0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+    0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc,
+    0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7,
+    0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+    0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3,
+    0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5,
+    0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+    0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ])
+
+  /**
+   * @private
+   * @static
+   * @description SHA-384/512 round constants as high, low pairs.
+   */
+  static k512 = new Int32Array([
+    0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd,
+    0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+    0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019,
+    0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+    0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe,
+    0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+    0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1,
+    0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+    0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3,
+    0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+    0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483,
+    0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+    0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210,
+    0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+    0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725,
+    0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+    0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926,
+    0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+    0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8,
+    0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+    0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001,
+    0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+    0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910,
+    0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+    0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53,
+    0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+    0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb,
+    0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+    0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60,
+    0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+    0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9,
+    0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+    0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207,
+    0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+    0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6,
+    0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+    0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493,
+    0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+    0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a,
+    0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+  ])
+
+  /**
+   * @private
+   * @static
+   * @description Parameters of supported hashes: block size, digest length
+   * and initial hash value (high, low pairs for SHA-384/512).
+   */
+  static params = {
+    'SHA-256': {
+      blockSize: 64,
+      length: 32,
+      initial: [
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+        0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+      ]
+    },
+    'SHA-384': {
+      blockSize: 128,
+      length: 48,
+      initial: [
+        0xcbbb9d5d, 0xc1059ed8, 0x629a292a, 0x367cd507,
+        0x9159015a, 0x3070dd17, 0x152fecd8, 0xf70e5939,
+        0x67332667, 0xffc00b31, 0x8eb44a87, 0x68581511,
+        0xdb0c2e0d, 0x64f98fa7, 0x47b5481d, 0xbefa4fa4
+      ]
+    },
+    'SHA-512': {
+      blockSize: 128,
+      length: 64,
+      initial: [
+        0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b,
+        0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+        0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f,
+        0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179
+      ]
+    }
+  }
+
+  /**
+   * @public
+   * @description Create hash state.
+   * @param {string} [hash='SHA-256'] 'SHA-256', 'SHA-384' or 'SHA-512'.
+   */
+  constructor (hash = 'SHA-256') {
+    const params = Sha2.params[hash]
+    if (!params) {
+      throw new Error(`Unsupported hash ${hash}`)
+    }
+    this._params = params
+    this._state = new Int32Array(params.initial)
+    this._block = new Uint8Array(params.blockSize)
+    this._view = new DataView(this._block.buffer)
+    this._blockLength = 0
+    this._length = 0
+    this._words = new Int32Array(params.blockSize === 64 ? 64 : 160)
+    this._finished = false
+  }
+
+  /**
+   * @public
+   * @description Feed next part of the message.
+   * @param {ArrayBuffer|ArrayBufferView} data Message part.
+   * @returns {Sha2} this, to allow chaining.
+   */
+  update (data) {
+    if (this._finished) {
+      throw new Error('Sha2 digest has already been computed')
+    }
+    const bytes = ArrayBuffer.isView(data)
+      ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+      : new Uint8Array(data)
+    const blockSize = this._params.blockSize
+    this._length += bytes.length
+    let offset = 0
+    while (offset < bytes.length) {
+      const count = Math.min(
+        blockSize - this._blockLength,
+        bytes.length - offset
+      )
+      this._block.set(bytes.subarray(offset, offset + count), this._blockLength)
+      this._blockLength += count
+      offset += count
+      if (this._blockLength === blockSize) {
+        this.compress()
+        this._blockLength = 0
+      }
+    }
+    return this
+  }
+
+  /**
+   * @public
+   * @description Finish hashing. The state can not be updated afterwards.
+   * @returns {ArrayBuffer} Message digest.
+   */
+  digest () {
+    if (this._finished) {
+      throw new Error('Sha2 digest has already been computed')
+    }
+    const blockSize = this._params.blockSize
+    // Length field takes 8 bytes in SHA-256 and 16 bytes in SHA-384/512.
+    const lengthSize = blockSize / 8
+    const lengthOffset = blockSize - 8
+    this._block[this._blockLength++] = 0x80
+    if (this._blockLength > blockSize - lengthSize) {
+      this._block.fill(0, this._blockLength)
+      this.compress()
+      this._blockLength = 0
+    }
+    this._block.fill(0, this._blockLength)
+    // Bit length, messages shorter than 2^53 bytes are supported.
+    this._view.setUint32(lengthOffset, Math.floor(this._length / 0x20000000))
+    this._view.setUint32(lengthOffset + 4, (this._length * 8) >>> 0)
+    this.compress()
+    this._finished = true
+    const out = new DataView(new ArrayBuffer(this._params.length))
+    for (let i = 0; i < out.byteLength / 4; i++) {
+      out.setInt32(4 * i, this._state[i])
+    }
+    return out.buffer
+  }
+
+  /**
+   * @private
+   * @description Process the current block.
+   */
+  compress () {
+    if (this._params.blockSize === 64) {
+      this.compress256()
+    } else {
+      this.compress512()
+    }
+  }
+
+  /**
+   * @private
+   * @description Process the current block with SHA-256 compression.
+   */
+  compress256 () {
+    const w = this._words
+    const k = Sha2.k256
+    const h = this._state
+    for (let t = 0; t < 16; t++) { w[t] = this._view.getInt32(4 * t) }
+    for (let t = 16; t < 64; t++) {
+      const x = w[t - 15]
+      const y = w[t - 2]
+      const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3)
+      const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10)
+      w[t] = (s1 + w[t - 7] + s0 + w[t - 16]) | 0
+    }
+    let [a, b, c, d, e, f, g, hh] = h
+    for (let t = 0; t < 64; t++) {
+      const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^
+        ((e >>> 25) | (e << 7))
+      const ch = (e & f) ^ (~e & g)
+      const t1 = (hh + s1 + ch + k[t] + w[t]) | 0
+      const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^
+        ((a >>> 22) | (a << 10))
+      const maj = (a & b) ^ (a & c) ^ (b & c)
+      const t2 = (s0 + maj) | 0
+      hh = g
+      g = f
+      f = e
+      e = (d + t1) | 0
+      d = c
+      c = b
+      b = a
+      a = (t1 + t2) | 0
+    }
+    h[0] = (h[0] + a) | 0
+    h[1] = (h[1] + b) | 0
+    h[2] = (h[2] + c) | 0
+    h[3] = (h[3] + d) | 0
+    h[4] = (h[4] + e) | 0
+    h[5] = (h[5] + f) | 0
+    h[6] = (h[6] + g) | 0
+    h[7] = (h[7] + hh) | 0
+  }
+
+  /**
+   * @private
+   * @description Process the current block with SHA-512 compression.
+   */
+  compress512 () {
+    const w = this._words
+    const k = Sha2.k512
+    const h = this._state
+    const carry = 0x100000000
+    for (let t = 0; t < 32; t++) { w[t] = this._view.getInt32(4 * t) }
+    for (let t = 32; t < 160; t += 2) {
+      let xh = w[t - 30]
+      let xl = w[t - 29]
+      // ROTR 1, ROTR 8, SHR 7
+      const s0h = ((xh >>> 1) | (xl << 31)) ^ ((xh >>> 8) | (xl << 24)) ^
+        (xh >>> 7)
+      const s0l = ((xl >>> 1) | (xh << 31)) ^ ((xl >>> 8) | (xh << 24)) ^
+        ((xl >>> 7) | (xh << 25))
+      xh = w[t - 4]
+      xl = w[t - 3]
+      // ROTR 19, ROTR 61, SHR 6
+      const s1h = ((xh >>> 19) | (xl << 13)) ^ ((xl >>> 29) | (xh << 3)) ^
+        (xh >>> 6)
+      const s1l = ((xl >>> 19) | (xh << 13)) ^ ((xh >>> 29) | (xl << 3)) ^
+        ((xl >>> 6) | (xh << 26))
+      const lo = (s0l >>> 0) + (s1l >>> 0) + (w[t - 13] >>> 0) +
+        (w[t - 31] >>> 0)
+      w[t] = s0h + s1h + w[t - 14] + w[t - 32] + Math.floor(lo / carry)
+      w[t + 1] = lo
+    }
+    let [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl] = h
+    for (let t = 0; t < 160; t += 2) {
+      // ROTR 14, ROTR 18, ROTR 41
+      const s1h = ((eh >>> 14) | (el << 18)) ^ ((eh >>> 18) | (el << 14)) ^
+        ((el >>> 9) | (eh << 23))
+      const s1l = ((el >>> 14) | (eh << 18)) ^ ((el >>> 18) | (eh << 14)) ^
+        ((eh >>> 9) | (el << 23))
+      const chh = (eh & fh) ^ (~eh & gh)
+      const chl = (el & fl) ^ (~el & gl)
+      const t1l = (hl >>> 0) + (s1l >>> 0) + (chl >>> 0) + (k[t + 1] >>> 0) +
+        (w[t + 1] >>> 0)
+      const t1h = hh + s1h + chh + k[t] + w[t] + Math.floor(t1l / carry)
+      // ROTR 28, ROTR 34, ROTR 39
+      const s0h = ((ah >>> 28) | (al << 4)) ^ ((al >>> 2) | (ah << 30)) ^
+        ((al >>> 7) | (ah << 25))
+      const s0l = ((al >>> 28) | (ah << 4)) ^ ((ah >>> 2) | (al << 30)) ^
+        ((ah >>> 7) | (al << 25))
+      const majh = (ah & bh) ^ (ah & ch) ^ (bh & ch)
+      const majl = (al & bl) ^ (al & cl) ^ (bl & cl)
+      const t2l = (s0l >>> 0) + (majl >>> 0)
+      const t2h = s0h + majh + Math.floor(t2l / carry)
+      hh = gh
+      hl = gl
+      gh = fh
+      gl = fl
+      fh = eh
+      fl = el
+      const el2 = (dl >>> 0) + (t1l >>> 0)
+      eh = (dh + t1h + Math.floor(el2 / carry)) | 0
+      el = el2 | 0
+      dh = ch
+      dl = cl
+      ch = bh
+      cl = bl
+      bh = ah
+      bl = al
+      const al2 = (t1l >>> 0) + (t2l >>> 0)
+      ah = (t1h + t2h + Math.floor(al2 / carry)) | 0
+      al = al2 | 0
+    }
+    const add = (i, vh, vl) => {
+      const lo = (h[i + 1] >>> 0) + (vl >>> 0)
+      h[i] = h[i] + vh + Math.floor(lo / carry)
+      h[i + 1] = lo
+    }
+    add(0, ah, al)
+    add(2, bh, bl)
+    add(4, ch, cl)
+    add(6, dh, dl)
+    add(8, eh, el)
+    add(10, fh, fl)
+    add(12, gh, gl)
+    add(14, hh, hl)
+  }
+}
+
+export {
+  Sha2
+}
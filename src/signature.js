@@ -0,0 +1,235 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+import {
+  Convert
+} from './convert.js'
+import {
+  Der
+} from './der.js'
+import {
+  PrivKey
+} from './privkey.js'
+import {
+  BigInteger
+} from './tom_vu/BigInteger.js'
+
+/**
+ * @classdesc Signature converts ECDSA P-256 signatures between encodings:
+ * - 'raw': 64 bytes of r||s (IEEE P1363), produced by crypto.subtle;
+ * - 'der': ASN.1 DER Ecdsa-Sig-Value, used by Java, OpenSSL and X.509;
+ * - 'jose': base64url string of r||s, used by JWS (ES256).
+ *
+ * Since (r, s) and (r, n - s) are both valid for the same message, it also
+ * provides low-S normalization (s <= n / 2) to make signatures canonical.
+ */
+class Signature {
+  /**
+   * @private
+   * @static
+   * @description Length of a single signature component in bytes.
+   */
+  static componentLength = 32
+
+  /**
+   * @private
+   * @static
+   * @description Supported signature encodings.
+   */
+  static encodings = ['raw', 'der', 'jose']
+
+  /**
+   * @private
+   * @static
+   * @description Make sure the encoding is supported.
+   * @param {string} encoding Encoding name.
+   */
+  static checkEncoding (encoding) {
+    if (!this.encodings.includes(encoding)) {
+      throw new Error(`Unsupported signature encoding ${encoding}`)
+    }
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Half of the curve order, the largest low-S value.
+   */
+  static halfN = PrivKey.N.shiftRight(1)
+
+  /**
+   * @private
+   * @static
+   * @description Read s component of raw signature.
+   * @param {ArrayBuffer} raw 64 bytes of r||s.
+   * @returns {BigInteger} s.
+   */
+  static readS (raw) {
+    return new BigInteger(
+      Convert.arrayBufferToHexString(
+        Der.bytes(raw).subarray(this.componentLength)
+      ),
+      16
+    )
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Check whether raw signature has low S (s <= n / 2).
+   * @param {ArrayBuffer} raw 64 bytes of r||s.
+   * @returns {bool} Check result.
+   */
+  static isLowS (raw) {
+    return this.readS(raw).compareTo(this.halfN) <= 0
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Normalize raw signature to low S by replacing s with n - s
+   * when needed. Both forms verify against the same key and data.
+   * @param {ArrayBuffer} raw 64 bytes of r||s.
+   * @returns {ArrayBuffer} 64 bytes of r||s with low S.
+   */
+  static normalizeS (raw) {
+    const bytes = Der.bytes(raw).slice()
+    if (bytes.length !== 2 * this.componentLength) {
+      throw new Error('Raw signature must be 64 bytes long')
+    }
+    if (!this.isLowS(bytes)) {
+      const s = PrivKey.N.subtract(this.readS(bytes))
+        .toString(16)
+        .padStart(2 * this.componentLength, '0')
+      bytes.set(
+        new Uint8Array(Convert.hexStringToArrayBuffer(s)),
+        this.componentLength
+      )
+    }
+    return bytes.buffer
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Convert raw r||s signature to DER.
+   * @param {ArrayBuffer} raw 64 bytes of r||s.
+   * @returns {ArrayBuffer} DER encoded signature.
+   */
+  static rawToDer (raw) {
+    const bytes = Der.bytes(raw)
+    if (bytes.length !== 2 * this.componentLength) {
+      throw new Error('Raw signature must be 64 bytes long')
+    }
+    return Der.sequence([
+      Der.integer(bytes.subarray(0, this.componentLength)),
+      Der.integer(bytes.subarray(this.componentLength))
+    ]).buffer
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Convert DER signature to raw r||s. Parsing is strict:
+   * trailing bytes, non-minimal lengths or integers and out of range values
+   * are rejected.
+   * @param {ArrayBuffer} der DER encoded signature.
+   * @returns {ArrayBuffer} 64 bytes of r||s.
+   */
+  static derToRaw (der) {
+    const children = Der.expect(
+      Der.decode(der),
+      Der.tags.sequence,
+      'Ecdsa-Sig-Value'
+    ).children
+    if (children.length !== 2) {
+      throw new Error('Ecdsa-Sig-Value must have two elements')
+    }
+    const raw = new Uint8Array(2 * this.componentLength)
+    children.forEach((child, i) => {
+      const what = i === 0 ? 'signature r' : 'signature s'
+      const value = Der.readInteger(child, what)
+      if (value.length > this.componentLength) {
+        throw new Error(`DER: ${what} is too large`)
+      }
+      if (value.every(byte => byte === 0)) {
+        throw new Error(`DER: ${what} must not be zero`)
+      }
+      raw.set(value, (i + 1) * this.componentLength - value.length)
+    })
+    return raw.buffer
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Encode raw r||s signature.
+   * @param {ArrayBuffer} raw 64 bytes of r||s.
+   * @param {string} [encoding='raw'] 'raw', 'der' or 'jose'.
+   * @returns {ArrayBuffer|string} Encoded signature ('jose' is a string).
+   */
+  static encode (raw, encoding = 'raw') {
+    this.checkEncoding(encoding)
+    if (Der.bytes(raw).length !== 2 * this.componentLength) {
+      throw new Error('Raw signature must be 64 bytes long')
+    }
+    switch (encoding) {
+      case 'der':
+        return this.rawToDer(raw)
+      case 'jose':
+        return Convert.arrayBufferToUrlBase64(raw)
+      default:
+        return raw
+    }
+  }
+
+  /**
+   * @public
+   * @static
+   * @description Decode signature into raw r||s.
+   * @param {ArrayBuffer|string} signature Encoded signature.
+   * @param {string} [encoding='raw'] 'raw', 'der' or 'jose'.
+   * @returns {ArrayBuffer} 64 bytes of r||s.
+   */
+  static decode (signature, encoding = 'raw') {
+    this.checkEncoding(encoding)
+    let raw
+    switch (encoding) {
+      case 'der':
+        return this.derToRaw(signature)
+      case 'jose':
+        if (typeof signature !== 'string' ||
+            !/^[A-Za-z0-9_-]{86}$/.test(signature)) {
+          throw new Error('JOSE signature must be 86 base64url characters')
+        }
+        raw = Convert.urlBase64ToArrayBuffer(signature)
+        break
+      default:
+        raw = Der.bytes(signature).slice().buffer
+    }
+    if (raw.byteLength !== 2 * this.componentLength) {
+      throw new Error('Raw signature must be 64 bytes long')
+    }
+    return raw
+  }
+}
+
+export {
+  Signature
+}
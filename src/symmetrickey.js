@@ -0,0 +1,309 @@
+/* Copyright 2023, 2024 Leonid Ragunovich
+ *
+ * This file is part of es6_crypto.
+ *
+ * es6_crypto is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU General Public License as published by the Free
+ * Software Foundation, either version 3 of the License, or (at your option)
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along with
+ * this program (see LICENSE file in parent directory). If not, see
+ * <https://www.gnu.org/licenses/>.
+ */
+
+import {
+  Convert
+} from './convert.js'
+import {
+  Jwk
+} from './jwk.js'
+import {
+  Kdf
+} from './kdf.js'
+
+/**
+ * @classdesc SymmetricKey is a wrapper for AES and HMAC crypto.subtle keys.
+ *
+ * It is capable of export/import operations to/from raw, base64, hex and jwk
+ * ("oct"). Keys derived with Kdf or Crypto.deriveSymmetricKey can be wrapped
+ * as well.
+ *
+ * crypto.js allows to encrypt, decrypt (AES-GCM) and compute MACs (HMAC) with
+ * it.
+ */
+class SymmetricKey {
+  /**
+   * @private
+   * @static
+   * @description JWK use values.
+   */
+  static jwkUses = ['sig', 'enc']
+
+  /**
+   * @constructor
+   * @public
+   * @param {CryptoKey} key AES or HMAC crypto.subtle key (extractable).
+   * @param {Object} [metadata={}] JWK kid and use to be kept with the key.
+   */
+  constructor (key, metadata = {}) {
+    this._key = key
+    this._metadata = metadata
+  }
+
+  /**
+   * @public
+   * @description Obtain underlying crypto.subtle key for cryptography
+   * operations.
+   * @returns {CryptoKey} crypto.subtle key.
+   */
+  key () {
+    return this._key
+  }
+
+  /**
+   * @public
+   * @description Obtain name of the key algorithm.
+   * @returns {string} 'AES-GCM', 'AES-CBC', 'AES-CTR', 'AES-KW' or 'HMAC'.
+   */
+  algorithm () {
+    return this._key.algorithm.name
+  }
+
+  /**
+   * @public
+   * @description Obtain JWK metadata (kid, use) kept with the key.
+   * @returns {Object} Copy of the metadata.
+   */
+  metadata () {
+    return { ...this._metadata }
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import SymmetricKey from raw bytes.
+   * @param {ArrayBuffer} raw Key bytes (16, 24 or 32 for AES).
+   * @param {string} [algorithm='AES-GCM'] 'AES-GCM', 'AES-CBC', 'AES-CTR',
+   * 'AES-KW' or 'HMAC'.
+   * @param {Object} [options] Import options.
+   * @param {string} [options.hash='SHA-256'] HMAC hash.
+   * @returns {SymmetricKey} Imported SymmetricKey.
+   */
+  static async fromRaw (raw, algorithm = 'AES-GCM', options = {}) {
+    return new SymmetricKey(await Kdf.importKey(raw, algorithm, {
+      hash: options.hash,
+      extractable: true
+    }))
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import SymmetricKey from base64 string.
+   * @param {string} b64 base64 encoded key bytes.
+   * @param {string} [algorithm='AES-GCM'] Key algorithm (see fromRaw).
+   * @param {Object} [options] Import options (see fromRaw).
+   * @returns {SymmetricKey} Imported SymmetricKey.
+   */
+  static async fromBase64 (b64, algorithm = 'AES-GCM', options = {}) {
+    return this.fromRaw(Convert.base64ToArrayBuffer(b64), algorithm, options)
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import SymmetricKey from hex string.
+   * @param {string} hex Hex encoded key bytes.
+   * @param {string} [algorithm='AES-GCM'] Key algorithm (see fromRaw).
+   * @param {Object} [options] Import options (see fromRaw).
+   * @returns {SymmetricKey} Imported SymmetricKey.
+   */
+  static async fromHex (hex, algorithm = 'AES-GCM', options = {}) {
+    return this.fromRaw(Convert.hexStringToArrayBuffer(hex), algorithm, options)
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Map JWK alg to algorithm and import options.
+   * @param {string} alg JWK alg, e.g. 'A256GCM' or 'HS256'.
+   * @returns {Object} Object with algorithm, hash and bits (AES only).
+   */
+  static parseJwkAlg (alg) {
+    const aes = /^A(128|192|256)(GCM|CBC|CTR|KW)$/.exec(alg)
+    if (aes) {
+      return { algorithm: `AES-${aes[2]}`, bits: Number(aes[1]) }
+    }
+    const hmac = /^HS(256|384|512)$/.exec(alg)
+    if (hmac) {
+      return { algorithm: 'HMAC', hash: `SHA-${hmac[1]}` }
+    }
+    throw new Error(`Unsupported JWK alg ${alg}`)
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Import SymmetricKey from "oct" JWK. The algorithm is taken
+   * from JWK alg if present. The JWK is not modified; kid and use are kept
+   * with the key.
+   * @param {Object} jwk Object representing JWK.
+   * @param {string} [algorithm='AES-GCM'] Key algorithm for JWK without alg
+   * (see fromRaw).
+   * @param {Object} [options] Import options for JWK without alg (see
+   * fromRaw).
+   * @returns {SymmetricKey} Imported SymmetricKey.
+   */
+  static async fromJwk (jwk, algorithm = 'AES-GCM', options = {}) {
+    if (!jwk || jwk.kty !== 'oct') {
+      throw new Error('JWK kty must be "oct"')
+    }
+    if (typeof jwk.k !== 'string' || !/^[A-Za-z0-9_-]+$/.test(jwk.k)) {
+      throw new Error('JWK k must be base64url encoded')
+    }
+    const raw = Convert.urlBase64ToArrayBuffer(jwk.k)
+    if (jwk.alg !== undefined) {
+      const parsed = this.parseJwkAlg(jwk.alg)
+      if (parsed.bits && parsed.bits !== 8 * raw.byteLength) {
+        throw new Error(`JWK k does not match alg ${jwk.alg}`)
+      }
+      algorithm = parsed.algorithm
+      options = { hash: parsed.hash }
+    }
+    const key = await this.fromRaw(raw, algorithm, options)
+    return new SymmetricKey(key.key(), this.jwkMetadata(jwk))
+  }
+
+  /**
+   * @private
+   * @static
+   * @description Check and extract kid and use of JWK.
+   * @param {Object} jwk Object representing JWK (or export parameters).
+   * @returns {Object} Object with present kid and use.
+   */
+  static jwkMetadata (jwk) {
+    const metadata = {}
+    if (jwk.kid !== undefined) {
+      if (typeof jwk.kid !== 'string') {
+        throw new Error('JWK kid must be a string')
+      }
+      metadata.kid = jwk.kid
+    }
+    if (jwk.use !== undefined) {
+      if (!this.jwkUses.includes(jwk.use)) {
+        throw new Error(`JWK use must be one of ${this.jwkUses.join(', ')}`)
+      }
+      metadata.use = jwk.use
+    }
+    return metadata
+  }
+
+  /**
+   * @public
+   * @async
+   * @static
+   * @description Generate random SymmetricKey.
+   * @param {string} [algorithm='AES-GCM'] Key algorithm (see fromRaw).
+   * @param {Object} [options] Generation options.
+   * @param {number} [options.length=32] Key length in bytes.
+   * @param {string} [options.hash='SHA-256'] HMAC hash.
+   * @returns {SymmetricKey} Generated SymmetricKey.
+   */
+  static async fromRandom (algorithm = 'AES-GCM', options = {}) {
+    const { length = 32 } = options
+    return this.fromRaw(
+      crypto.getRandomValues(new Uint8Array(length)),
+      algorithm,
+      options
+    )
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Check whether other SymmetricKey has the same algorithm and
+   * key bytes.
+   * @param {SymmetricKey} other Key to compare with.
+   * @returns {bool} Comparison result.
+   */
+  async equals (other) {
+    if (!(other instanceof SymmetricKey) ||
+        other.algorithm() !== this.algorithm()) {
+      return false
+    }
+    const a = new Uint8Array(await this.toRaw())
+    const b = new Uint8Array(await other.toRaw())
+    return a.length === b.length && a.every((byte, i) => byte === b[i])
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Compute RFC 7638 JWK thumbprint.
+   * @returns {string} base64url encoded SHA-256 thumbprint.
+   */
+  async thumbprint () {
+    return Jwk.thumbprint(await this.toJwk())
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export SymmetricKey to raw bytes.
+   * @returns {ArrayBuffer} Export result.
+   */
+  async toRaw () {
+    return crypto.subtle.exportKey('raw', this._key)
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export SymmetricKey to base64 string.
+   * @returns {string} Export result.
+   */
+  async toBase64 () {
+    return Convert.arrayBufferToBase64(await this.toRaw())
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export SymmetricKey to hex string.
+   * @returns {string} Export result.
+   */
+  async toHex () {
+    return Convert.arrayBufferToHexString(await this.toRaw())
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Export SymmetricKey to "oct" JWK with alg, e.g. 'A256GCM' or
+   * 'HS256'.
+   * @param {Object} [params] Optional kid and use ('sig' or 'enc') to be
+   * included. They override metadata kept with the key.
+   * @returns {Object} Export result.
+   */
+  async toJwk (params = {}) {
+    return {
+      ...(await crypto.subtle.exportKey('jwk', this._key)),
+      ...this._metadata,
+      ...SymmetricKey.jwkMetadata(params)
+    }
+  }
+}
+
+export {
+  SymmetricKey
+}
@@ -49,6 +49,15 @@ function feFpDivide(b) {
     return new ECFieldElementFp(this.q, this.x.multiply(b.toBigInteger().modInverse(this.q)).mod(this.q));
 }
 
+// Square root for q = 3 (mod 4), e.g. P-256: x^((q+1)/4), null if x is not a square
+function feFpSqrt() {
+    if(!this.q.testBit(0) || !this.q.testBit(1)) return null;
+    var x = this.x.mod(this.q);
+    var r = x.modPow(this.q.add(BigInteger.ONE).shiftRight(2), this.q);
+    if(!r.square().mod(this.q).equals(x)) return null;
+    return new ECFieldElementFp(this.q, r);
+}
+
 ECFieldElementFp.prototype.equals = feFpEquals;
 ECFieldElementFp.prototype.toBigInteger = feFpToBigInteger;
 ECFieldElementFp.prototype.negate = feFpNegate;
@@ -57,6 +66,7 @@ ECFieldElementFp.prototype.subtract = feFpSubtract;
 ECFieldElementFp.prototype.multiply = feFpMultiply;
 ECFieldElementFp.prototype.square = feFpSquare;
 ECFieldElementFp.prototype.divide = feFpDivide;
+ECFieldElementFp.prototype.sqrt = feFpSqrt;
 
 // ----------------
 // ECPointFp
@@ -301,8 +311,15 @@ function curveFpDecodePointHex(s) {
 	return this.infinity;
     case 2:
     case 3:
-	// point compression not supported yet
-	return null;
+	var xBig = new BigInteger(s.substr(2), 16);
+	if(xBig.compareTo(this.q) >= 0) return null;
+	var x = this.fromBigInteger(xBig);
+	// y^2 = x^3 + ax + b
+	var beta = x.square().multiply(x).add(this.a.multiply(x)).add(this.b).sqrt();
+	if(beta == null) return null;
+	var yBig = beta.toBigInteger();
+	if(yBig.testBit(0) != (s.substr(0,2) == "03")) yBig = this.q.subtract(yBig).mod(this.q);
+	return new ECPointFp(this, x, this.fromBigInteger(yBig));
     case 4:
     case 6:
     case 7: